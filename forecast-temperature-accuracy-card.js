@@ -5,24 +5,442 @@ const STORAGE_KEY_PREFIX = 'forecast-temp-accuracy-';
 const DEFAULT_HISTORY_DAYS = 7;
 const DEFAULT_REFRESH_INTERVAL = 60; // minutes (hourly - forecasts aren't more granular)
 const APEXCHARTS_CDN = 'https://cdn.jsdelivr.net/npm/apexcharts@3.45.1/dist/apexcharts.min.js';
+const MAX_LEAD_TIME = 48; // hours
+const PENDING_MAX_LATE_MS = 30 * 60 * 1000; // how long after its target hour a lookahead forecast can still be verified
+
+// Daily high/low forecasts are only captured this long after the issue hour (a later capture would peek at the day)
+const DAILY_CAPTURE_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+// Precipitation probabilities at or above this count as a rain forecast for hit and false-alarm rates
+const PRECIPITATION_EVENT_PROBABILITY = 50; // %
+const PRECIPITATION_MAX_LATE_MS = 24 * 60 * 60 * 1000; // how long an hour's rain can stay unverified (recorder gaps)
+
+// Quality checks on actual readings (limits per variable in VARIABLES). Flagged records are kept for the
+// chart but left out of the statistics.
+const DEFAULT_MAX_SENSOR_AGE = 180; // minutes without a sensor update before its reading counts as stale
+const QC_RATE_WINDOW_MS = 3 * 60 * 60 * 1000; // rate of change is only checked against a reading this recent
+const QC_FLAGS = {
+  stale: 'sensor not updated',
+  range: 'outside the plausible range',
+  rate: 'changed too fast',
+  deviation: 'far from every forecast'
+};
+
+// Hourly precipitation probability field of each source type (custom sources have none)
+const PRECIPITATION_FIELDS = {
+  openmeteo: 'precipitation_probability',
+  tempest: 'precip_probability',
+  weather: 'precipitation_probability',
+  nws: 'probabilityOfPrecipitation'
+};
+
+// How the actual temperature is taken from the sensor: its state at the moment, or an
+// aggregate of recorder history over a window around the forecast's valid time
+const ACTUAL_METHODS = ['instant', 'mean', 'median', 'min', 'max'];
+
+// Verifiable variables: the forecast field each source type provides (custom sources use their
+// own paths), the unit kind for conversions, the sensor device class, the accuracy threshold and
+// the quality-check limits (plausible range, change per hour, deviation from every source).
+// Thresholds and limits are in the kind's base unit: °C for temperatures, see UNIT_FACTORS for the others.
+const VARIABLES = {
+  temperature: {
+    name: 'Temperature', kind: 'temperature', deviceClass: 'temperature', threshold: 2,
+    qc: { min: -60, max: 60, rate: 10, deviation: 15 },
+    fields: { openmeteo: 'temperature_2m', tempest: 'air_temperature', weather: 'temperature', nws: 'temperature', custom: true }
+  },
+  humidity: {
+    name: 'Humidity', kind: 'humidity', deviceClass: 'humidity', threshold: 5,
+    qc: { min: 0, max: 100, rate: 50, deviation: 50 },
+    fields: { openmeteo: 'relative_humidity_2m', tempest: 'relative_humidity', weather: 'humidity', nws: 'relativeHumidity', custom: true }
+  },
+  dew_point: {
+    name: 'Dew Point', kind: 'temperature', deviceClass: 'temperature', threshold: 2,
+    qc: { min: -70, max: 40, rate: 10, deviation: 15 },
+    // Tempest hourly forecasts have no dew point; it is derived from temperature and humidity
+    fields: { openmeteo: 'dew_point_2m', tempest: 'dew_point', weather: 'dew_point', nws: 'dewpoint', custom: true }
+  },
+  wind_speed: {
+    name: 'Wind Speed', kind: 'wind_speed', deviceClass: 'wind_speed', threshold: 1.5,
+    qc: { min: 0, max: 75, rate: 25, deviation: 20 },
+    fields: { openmeteo: 'wind_speed_10m', tempest: 'wind_avg', weather: 'wind_speed', nws: 'windSpeed', custom: true }
+  },
+  pressure: {
+    name: 'Pressure', kind: 'pressure', deviceClass: 'atmospheric_pressure', threshold: 1,
+    qc: { min: 870, max: 1090, rate: 10, deviation: 20 },
+    fields: { openmeteo: 'pressure_msl', tempest: 'sea_level_pressure', weather: 'pressure', custom: true }
+  }
+};
+
+// Conversion factors to the base unit of each non-temperature kind (m/s, hPa, %)
+const UNIT_FACTORS = {
+  wind_speed: { 'm/s': 1, 'km/h': 1 / 3.6, 'mph': 0.44704, 'kn': 0.514444, 'ft/s': 0.3048 },
+  pressure: { 'hPa': 1, 'mbar': 1, 'Pa': 0.01, 'kPa': 10, 'inHg': 33.8639, 'mmHg': 1.333224, 'psi': 68.9476 },
+  humidity: { '%': 1 }
+};
 
-// Tooltip text for card elements (functions to support dynamic lookahead)
+// Other spellings of the units above, including NWS unit codes
+const UNIT_ALIASES = {
+  'kmh': 'km/h', 'kph': 'km/h', 'km/hr': 'km/h', 'wmoUnit:km_h-1': 'km/h', 'wmoUnit:m_s-1': 'm/s',
+  'kt': 'kn', 'kts': 'kn', 'knots': 'kn', 'mb': 'mbar', 'hpa': 'hPa', 'inhg': 'inHg', 'mmhg': 'mmHg',
+  'wmoUnit:Pa': 'Pa', 'wmoUnit:percent': '%', 'percent': '%'
+};
+
+// The trend test bins hourly errors into at most this many points, and needs at least the minimum
+const TREND_MAX_POINTS = 168;
+const TREND_MIN_POINTS = 10;
+
+// Bias correction groups: by local hour of day, or by hour of day within each season.
+// Groups with few records are pulled toward the overall bias as if it had this many extra records.
+const BIAS_CORRECTION_MODES = ['hour', 'hour_season'];
+const BIAS_CORRECTION_PRIOR = 3;
+
+// Skill score baselines. Persistence predicts the reading from when the forecast was issued (for the
+// nowcast: the reading this many hours earlier, "same as yesterday"). Climatology predicts the
+// sensor's mean at the same hour of day on earlier days, once it has this many days.
+const PERSISTENCE_NOWCAST_HOURS = 24;
+const CLIMATOLOGY_MIN_DAYS = 3;
+
+// Weather regimes for the condition breakdown. Each record stores the conditions at its time in
+// base units (cloud cover %, wind m/s, temperature °C); `bucket` sorts a value into a band.
+const CONDITION_BREAKDOWNS = [
+  {
+    name: 'Sky', field: 'cloud_cover',
+    bucket: (v) => v < 25 ? 'Clear' : v <= 75 ? 'Partly cloudy' : 'Overcast',
+    order: ['Clear', 'Partly cloudy', 'Overcast']
+  },
+  {
+    name: 'Wind', field: 'wind_speed',
+    bucket: (v) => v < 2 ? 'Calm' : v <= 6 ? 'Breezy' : 'Windy',
+    order: ['Calm', 'Breezy', 'Windy']
+  },
+  {
+    name: 'Precipitation', field: 'precipitation',
+    bucket: (v) => v ? 'Wet' : 'Dry',
+    order: ['Dry', 'Wet']
+  },
+  {
+    name: 'Daylight', field: 'is_day',
+    bucket: (v) => v ? 'Day' : 'Night',
+    order: ['Day', 'Night']
+  },
+  {
+    name: 'Temperature', field: 'temperature',
+    bucket: (v) => v < 0 ? 'Below freezing' : v <= 25 ? 'Mild' : 'Hot',
+    order: ['Below freezing', 'Mild', 'Hot']
+  }
+];
+
+// Weather entity conditions that mean precipitation
+const WET_CONDITIONS = ['rainy', 'pouring', 'snowy', 'snowy-rainy', 'lightning-rainy', 'hail'];
+
+// Views of the main chart: forecast vs actual over time, or the error profile by hour of day
+const CHART_VIEWS = ['history', 'diurnal'];
+
+// Statistics the stats grid can show (`stats` option), and the ones shown by default
+const STATISTICS = ['mae', 'bias', 'accuracy', 'trend', 'rmse', 'median', 'p90', 'p95', 'std_dev', 'max_error'];
+const DEFAULT_STATISTICS = ['mae', 'bias', 'accuracy', 'trend'];
+
+// Tooltip text for card elements (functions to support dynamic lookahead and variable names)
 const TOOLTIPS = {
-  forecast: (lookahead) => lookahead > 0
-    ? `What the forecast predicts the temperature will be in ${lookahead} hour${lookahead > 1 ? 's' : ''}`
-    : 'What the forecast says the current temperature is',
-  actual: 'The actual temperature reading from your sensor right now',
-  delta: (lookahead) => lookahead > 0
-    ? `The difference between the ${lookahead}h forecast and current actual. Shows if temperature is trending toward the forecast.`
-    : 'The difference between forecast and actual. Positive (red) means forecast is too high, negative (blue) means too low, green means accurate (within 1 degree)',
+  forecast: (lookahead, name = 'temperature') => lookahead > 0
+    ? `What the forecast predicts the ${name} will be in ${lookahead} hour${lookahead > 1 ? 's' : ''}`
+    : `What the forecast says the current ${name} is`,
+  actual: (name = 'temperature') => `The actual ${name} reading from your sensor right now`,
+  delta: (lookahead, name = 'temperature') => lookahead > 0
+    ? `The difference between the ${lookahead}h forecast and current actual. Shows if ${name} is trending toward the forecast.`
+    : 'The difference between forecast and actual. Positive (red) means forecast is too high, negative (blue) means too low, green means accurate (within the neutral band)',
   mae: 'Mean Absolute Error: The average difference between forecasts and actual readings, ignoring direction. Lower is better.',
   bias: 'Systematic forecast error direction. Positive means forecasts typically run too high, negative means too low.',
-  accuracy: 'Percentage of forecasts that were within +/- 2 degrees of the actual temperature',
-  trend: 'Compares recent 24h accuracy vs previous 24h. Shows if forecast accuracy is improving, degrading, or stable.',
+  accuracy: (threshold, name = 'temperature') => `Percentage of forecasts that were within +/- ${threshold} of the actual ${name}`,
+  rmse: 'Root Mean Square Error: like MAE, but large misses count more. Much higher than MAE means occasional big misses.',
+  median: 'Median Absolute Error: half of the forecasts were closer than this. Unlike MAE it ignores a few outliers.',
+  percentile: (p) => `${p}th percentile of the absolute error: ${p}% of forecasts were within this of the actual reading`,
+  stdDev: 'Standard deviation of the error around the bias: how consistent the forecast is. A source with a steady bias has a low value.',
+  maxError: 'The largest single miss in the history period, and when it happened',
+  trend: (window, confidence) => `Whether the absolute error is rising or falling over the last two ${window} windows (Mann-Kendall test). Shown as improving or degrading only when the trend is significant at ${confidence}% confidence; the slope is the change in error per day (Sen's slope).`,
+  leaderboard: 'Sources ranked by Mean Absolute Error (lowest first). Days won counts the completed days on which a source had the lowest MAE.',
+  leadMatrix: 'Verified accuracy by lead time: how far ahead each forecast was issued before the hour it predicted. Cell color goes from green (lowest MAE) to red (highest MAE).',
+  highLow: (issueHour) => `Forecast high and low captured at ${String(issueHour).padStart(2, '0')}:00, compared with the highest and lowest sensor readings from then until midnight`,
+  precipitation: `Hourly precipitation probability vs whether the rain sensor registered rain in that hour. Brier score is the mean squared probability error (0 is perfect). Hit rate: rainy hours forecast at ${PRECIPITATION_EVENT_PROBABILITY}% or more. False alarms: dry hours forecast at ${PRECIPITATION_EVENT_PROBABILITY}% or more.`,
+  reliability: 'Observed rain frequency for each forecast probability bin. A well-calibrated forecast follows the dashed diagonal: it rains in about 60% of the hours given 60%.',
+  corrected: (mode) => `The forecast minus the bias learned from past records for this hour of the day${mode === 'hour_season' ? ' and season' : ''}`,
+  correction: 'Leave-one-day-out cross-validation: each day is corrected with the bias learned from the other days, then scored. Shows how much the correction would have improved MAE.',
+  lookahead: (lookahead) => `How the +${lookahead}h forecast compared with the sensor reading once that hour actually arrived`,
+  skill: `Skill score = 1 - MAE of the forecast / MAE of a baseline, over the same hours. Above 0 the forecast beats the baseline, 1 is perfect, below 0 the baseline was better. Persistence: the reading when the forecast was issued (${PERSISTENCE_NOWCAST_HOURS}h earlier for the nowcast). Climatology: the sensor's average at that hour on earlier days.`,
+  conditions: 'MAE and bias split by the weather at the time of each comparison: cloud cover (clear below 25%, overcast above 75%), wind (calm below 2 m/s, windy above 6 m/s), precipitation, day or night and temperature (hot above 25°C)',
+  rejected: (reasons) => `Readings that failed the quality checks (${Object.entries(reasons).map(([flag, count]) => `${QC_FLAGS[flag]}: ${count}`).join(', ')}). They are kept and marked on the chart but left out of the statistics.`,
+  diurnal: 'Error by local hour of the day over the history period: bars show the mean error (bias), lines the mean absolute error. Reveals time-of-day errors such as radiative cooling at night or sun on the sensor shield.',
   chart: (lookahead) => lookahead > 0
     ? `Historical comparison: forecast for +${lookahead}h ahead (orange) vs actual at that moment (blue)`
-    : 'Historical comparison: what the forecast claimed (orange) vs what the temperature actually was (blue)'
+    : 'Historical comparison: what the forecast claimed (orange) vs what was actually measured (blue)'
+};
+
+// Default series colors, in source order (the actual temperature line is always blue)
+const SOURCE_COLORS = ['#FF9800', '#9C27B0', '#4CAF50', '#E91E63', '#00BCD4', '#795548', '#CDDC39', '#607D8B'];
+
+// Display names for common Open-Meteo weather models (other model ids are shown as-is)
+const OPEN_METEO_MODELS = {
+  best_match: 'Best Match',
+  ecmwf_ifs025: 'ECMWF IFS',
+  ecmwf_aifs025: 'ECMWF AIFS',
+  gfs_seamless: 'GFS',
+  icon_seamless: 'ICON',
+  gem_seamless: 'GEM',
+  meteofrance_seamless: 'Météo-France',
+  jma_seamless: 'JMA',
+  ukmo_seamless: 'UK Met Office',
+  metno_seamless: 'MET Norway',
+  knmi_seamless: 'KNMI',
+  dmi_seamless: 'DMI'
+};
+
+// Forecast source adapters, keyed by the `type` of an entry in the `sources` list.
+// `fetch` names the card method that fetches the source and returns
+// { current, hourly: [{timestamp, temp}] } in the display unit. `fields` drives the visual editor.
+// `storageId` names a source's history by what it forecasts (see _getStorageSuffixes).
+const FORECAST_SOURCES = {
+  openmeteo: {
+    name: 'Open-Meteo',
+    fetch: '_fetchFromOpenMeteo',
+    actualWindow: 15, // current values are 15-minute model data
+    required: ['latitude', 'longitude'],
+    fields: [
+      { name: 'latitude', label: 'Latitude', type: 'number' },
+      { name: 'longitude', label: 'Longitude', type: 'number' },
+      { name: 'models', label: 'Models (optional, comma-separated)', type: 'text' }
+    ],
+    backfill: '_backfillFromOpenMeteo',
+    storageId: (source) => `openmeteo_${Number(source.latitude)}_${Number(source.longitude)}`,
+    label: (source) => source.model ? `Open-Meteo ${OPEN_METEO_MODELS[source.model] || source.model}` : 'Open-Meteo'
+  },
+  tempest: {
+    name: 'Tempest',
+    fetch: '_fetchFromTempest',
+    actualWindow: 60,
+    required: ['api_key', 'station_id'],
+    fields: [
+      { name: 'api_key', label: 'Tempest API Key', type: 'password' },
+      { name: 'station_id', label: 'Tempest Station ID', type: 'text' }
+    ],
+    storageId: (source) => `tempest_${source.station_id}`,
+    describe: (source) => `Tempest (Station ${source.station_id})`
+  },
+  weather: {
+    name: 'Weather Entity',
+    fetch: '_fetchFromWeatherEntity',
+    actualWindow: 60,
+    required: ['entity'],
+    fields: [
+      { name: 'entity', label: 'Weather Entity', type: 'entity', domain: 'weather' }
+    ],
+    storageId: (source) => source.entity,
+    label: (source, hass) => hass?.states[source.entity]?.attributes.friendly_name || source.entity,
+    describe: (source, label) => `${label} (${source.entity})`
+  },
+  nws: {
+    name: 'NWS',
+    fetch: '_fetchFromNws',
+    actualWindow: 60,
+    required: ['latitude', 'longitude'],
+    fields: [
+      { name: 'latitude', label: 'Latitude', type: 'number' },
+      { name: 'longitude', label: 'Longitude', type: 'number' },
+      { name: 'product', label: 'NWS Product', type: 'select', options: [
+        { value: 'hourly', label: 'Hourly forecast (forecastHourly)' },
+        { value: 'gridpoint', label: 'Raw gridpoint data' }
+      ] }
+    ],
+    storageId: (source) => `nws_${source.product || 'hourly'}_${Number(source.latitude)}_${Number(source.longitude)}`,
+    describe: (source) => `NWS (${source.latitude}, ${source.longitude})`
+  },
+  custom: {
+    name: 'Custom JSON',
+    fetch: '_fetchFromCustom',
+    actualWindow: 60,
+    required: ['url', 'time_path', 'temperature_path'],
+    fields: [
+      { name: 'url', label: 'URL ({lat}, {lon}, {api_key} are replaced)', type: 'text' },
+      { name: 'api_key', label: 'API Key (optional)', type: 'password' },
+      { name: 'time_path', label: 'Time Array Path (e.g. hourly.time)', type: 'text' },
+      { name: 'temperature_path', label: 'Value Array Path (e.g. hourly.temp)', type: 'text' },
+      { name: 'unit_path', label: 'Unit Path (optional)', type: 'text' },
+      { name: 'unit', label: 'Unit (C, F, %, km/h, hPa, ...)', type: 'text' },
+      { name: 'headers', label: 'Request Headers (optional, e.g. Authorization: Bearer {api_key})', type: 'object' }
+    ],
+    storageId: (source) => `custom_${hashString(`${source.url} ${source.temperature_path}`)}`,
+    describe: (source, label) => {
+      try {
+        return `${label} (${new URL(source.url).host})`;
+      } catch (e) {
+        return label;
+      }
+    }
+  }
+};
+
+// History storage backends, keyed by the `storage` option. `load` names the card method that reads
+// the histories for a list of storage keys into the card's cache before each refresh, `save` the one
+// that stores a history object and `remove` the one that deletes it. Backends other than localStorage
+// fall back to it when they fail.
+const HISTORY_STORAGES = {
+  local: {
+    name: 'This browser (localStorage)',
+    load: '_loadLocalHistories',
+    save: '_saveLocalHistory',
+    remove: '_removeLocalHistory'
+  },
+  homeassistant: {
+    name: 'Home Assistant (shared)',
+    load: '_loadHomeAssistantHistories',
+    save: '_saveHomeAssistantHistory',
+    remove: '_removeHomeAssistantHistory'
+  },
+  indexeddb: {
+    name: 'This browser (IndexedDB, long-term)',
+    load: '_loadIndexedDbHistories',
+    save: '_saveIndexedDbHistory',
+    remove: '_removeIndexedDbHistory',
+    maxHistoryDays: 730
+  }
+};
+const MAX_HISTORY_DAYS = 30; // for storages without their own maxHistoryDays
+
+// IndexedDB storage: one row per record in `records`, keyed by storage key and row id and indexed by
+// storage key and time; the rest of each history (pending queues, last_updated) in `histories`
+const HISTORY_DB_NAME = 'forecast-temp-accuracy';
+const HISTORY_DB_VERSION = 1;
+
+// Version of the stored history format. Histories from older versions are upgraded by running the
+// migrations after their version in turn (a copy of the old data is kept first, see _backupHistory).
+// New optional fields on records need no migration; a change to existing fields or lists does:
+// bump SCHEMA_VERSION and add a method here that turns a history of the previous version into it.
+const SCHEMA_VERSION = 4;
+const HISTORY_MIGRATIONS = {
+  2: '_migrateHistoryToV2', // v1.x: forecast arrays/objects and pending_forecasts
+  3: '_migrateHistoryToV3', // 1.x cards: one list of instantaneous comparisons
+  4: '_migrateHistoryToV4' // daily and monthly aggregate lists
+};
+
+// Tiered retention: raw records are kept for raw_days, then summed into daily aggregates, which are
+// summed into monthly aggregates after daily_days (both still limited by history_days). Raw days
+// default to less than MAX_HISTORY_DAYS, so a full localStorage history is compacted too.
+const DEFAULT_RAW_DAYS = 14;
+const DEFAULT_DAILY_DAYS = 180;
+
+// Record lists of a history and the field that gives each entry's time (IndexedDB rows, import merging)
+const HISTORY_ROW_TYPES = {
+  records: 'timestamp',
+  lookahead_records: 'timestamp',
+  daily_records: 'period_end',
+  precip_records: 'timestamp',
+  daily_aggregates: 'period_start',
+  monthly_aggregates: 'period_start'
 };
+let historyDb = null; // open database promise, shared by every card on the page
+
+// Columns of the CSV export: one row per hourly comparison (empty lead), verified lookahead forecast
+// or verified precipitation probability (probability and observed instead of forecast and actual).
+// condition_* are the weather conditions stored with a comparison, in base units (see CONDITION_BREAKDOWNS).
+const CSV_COLUMNS = [
+  'time', 'timestamp', 'lead', 'forecast', 'actual', 'delta', 'unit', 'actual_method', 'actual_window', 'backfilled', 'qc',
+  'issued', 'verified', 'forecast_lookahead', 'probability', 'observed',
+  ...CONDITION_BREAKDOWNS.map(breakdown => `condition_${breakdown.field}`)
+];
+
+// Identifies this browser in the Home Assistant storage writer lease
+const BROWSER_ID_KEY = 'forecast-temp-accuracy-browser-id';
+const WRITER_LEASE_INTERVALS = 3; // refresh intervals without renewal before another browser takes over writing
+
+// NWS /points lookups (forecast URLs for a location), cached for the page lifetime
+const nwsPointsCache = new Map();
+
+// Options removed from the config when it is converted to a `sources` list
+const LEGACY_SOURCE_OPTIONS = ['latitude', 'longitude', 'tempest_api_key', 'tempest_station_id', 'weather_entity'];
+
+// Open (and create or upgrade) the IndexedDB history database
+function openHistoryDb() {
+  if (!historyDb) {
+    historyDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('histories', { keyPath: 'key' });
+        const records = db.createObjectStore('records', { keyPath: ['key', 'id'] });
+        records.createIndex('source_time', ['key', 'timestamp']);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next refresh try again
+    historyDb.catch(() => {
+      historyDb = null;
+    });
+  }
+  return historyDb;
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolves when a transaction commits; rejects with its error (QuotaExceededError when storage is full)
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+// Source list from the `sources` option, or built from the legacy top-level options:
+// Tempest or a weather entity as primary, Open-Meteo as primary or comparison source
+function buildSourceList(config) {
+  if (Array.isArray(config.sources)) {
+    return config.sources;
+  }
+
+  const sources = [];
+  if (config.tempest_api_key && config.tempest_station_id) {
+    sources.push({ type: 'tempest', api_key: config.tempest_api_key, station_id: config.tempest_station_id });
+  } else if (config.weather_entity) {
+    sources.push({ type: 'weather', entity: config.weather_entity });
+  }
+  if (config.latitude !== undefined && config.longitude !== undefined) {
+    sources.push({ type: 'openmeteo', latitude: config.latitude, longitude: config.longitude });
+  }
+  return sources;
+}
+
+// Read a dotted JSON path such as "data.hourly.time" or "forecast[0].temps".
+// "[*]" maps the rest of the path over an array: "hourly[*].air_temperature".
+function getJsonPath(data, path) {
+  const tokens = String(path).match(/[^.[\]]+|\[\*\]/g) || [];
+
+  const walk = (value, index) => {
+    if (index === tokens.length || value === undefined || value === null) {
+      return value;
+    }
+    const token = tokens[index];
+    if (token === '[*]') {
+      return Array.isArray(value) ? value.map(item => walk(item, index + 1)) : undefined;
+    }
+    return walk(value[token], index + 1);
+  };
+
+  return walk(data, 0);
+}
+
+// Short stable hash of a string (djb2, base 36), for ids built from long values such as URLs
+function hashString(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
 
 // Load ApexCharts library
 let apexChartsLoaded = false;
@@ -70,18 +488,14 @@ class ForecastTemperatureAccuracyCard extends LitElement {
     return {
       hass: { type: Object },
       config: { type: Object },
-      _currentForecast: { type: Number, state: true },
-      _currentForecastLookahead: { type: Number, state: true },
-      _futureForecast: { type: Array, state: true }, // Array of {timestamp, temp} for chart
-      _currentForecastSecondary: { type: Number, state: true },
-      _currentForecastSecondaryLookahead: { type: Number, state: true },
-      _futureForecastSecondary: { type: Array, state: true },
+      _forecasts: { type: Object, state: true }, // Fetched forecast per source id
       _currentActual: { type: Number, state: true },
-      _statistics: { type: Object, state: true },
-      _statisticsSecondary: { type: Object, state: true },
+      _statistics: { type: Object, state: true }, // Statistics per source id
       _loading: { type: Boolean, state: true },
       _error: { type: String, state: true },
-      _chartReady: { type: Boolean, state: true }
+      _chartReady: { type: Boolean, state: true },
+      _chartView: { type: String, state: true }, // see CHART_VIEWS
+      _dataMessage: { type: String, state: true } // result of the last import
     };
   }
 
@@ -127,6 +541,10 @@ class ForecastTemperatureAccuracyCard extends LitElement {
         text-align: center;
       }
 
+      .current-comparison.with-correction {
+        grid-template-columns: 1fr 1fr 1fr 1fr;
+      }
+
       .value-box {
         padding: 12px;
         border-radius: 8px;
@@ -180,6 +598,13 @@ class ForecastTemperatureAccuracyCard extends LitElement {
         border-bottom: 1px solid var(--divider-color);
       }
 
+      .statistics-subheader {
+        font-size: 12px;
+        font-weight: 500;
+        color: var(--secondary-text-color);
+        margin: 12px 0 8px 0;
+      }
+
       .stats-grid {
         display: grid;
         grid-template-columns: 1fr 1fr;
@@ -208,6 +633,11 @@ class ForecastTemperatureAccuracyCard extends LitElement {
         color: var(--primary-text-color);
       }
 
+      .stat-detail {
+        display: block;
+        font-size: 10px;
+      }
+
       .trend-improving {
         color: var(--success-color, #43a047);
       }
@@ -220,6 +650,28 @@ class ForecastTemperatureAccuracyCard extends LitElement {
         color: var(--secondary-text-color);
       }
 
+      .chart-tabs {
+        display: flex;
+        justify-content: flex-end;
+        gap: 12px;
+        margin-top: 16px;
+        font-size: 12px;
+      }
+
+      .chart-tab {
+        cursor: pointer;
+        color: var(--secondary-text-color);
+      }
+
+      .chart-tab.active {
+        color: var(--primary-color);
+        font-weight: 500;
+      }
+
+      .chart-tabs + .chart-container {
+        margin-top: 4px;
+      }
+
       .chart-container {
         margin-top: 16px;
         min-height: 200px;
@@ -257,14 +709,78 @@ class ForecastTemperatureAccuracyCard extends LitElement {
         opacity: 0.7;
       }
 
+      .data-tools {
+        font-size: 12px;
+        color: var(--secondary-text-color);
+        margin-top: 16px;
+      }
+
+      .data-tools summary {
+        cursor: pointer;
+      }
+
+      .data-tools-row {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-top: 8px;
+      }
+
+      .data-tools-label {
+        flex: 1;
+        color: var(--primary-text-color);
+      }
+
+      .data-tools button,
+      .data-tools-import {
+        font-size: 12px;
+        padding: 2px 8px;
+        border: 1px solid var(--divider-color);
+        border-radius: 4px;
+        background: none;
+        color: var(--primary-color);
+        cursor: pointer;
+      }
+
+      .data-tools-message {
+        margin-top: 8px;
+      }
+
       .no-data {
         text-align: center;
         padding: 24px;
         color: var(--secondary-text-color);
       }
 
-      /* Secondary comparison section (Open-Meteo reference) */
-      .secondary-section {
+      /* Lead-time accuracy matrix */
+      .lead-matrix {
+        width: 100%;
+        margin-top: 16px;
+        border-collapse: collapse;
+        font-size: 12px;
+        text-align: center;
+        cursor: help;
+      }
+
+      .lead-matrix th {
+        font-weight: 500;
+        color: var(--secondary-text-color);
+        padding: 4px;
+        border-bottom: 1px solid var(--divider-color);
+      }
+
+      .lead-matrix td {
+        padding: 4px;
+        color: var(--primary-text-color);
+      }
+
+      .lead-matrix td.lead-label {
+        font-weight: 500;
+        text-align: left;
+      }
+
+      /* Source leaderboard (comparison mode) */
+      .leaderboard-section {
         margin-top: 16px;
         padding: 12px;
         background: var(--secondary-background-color, rgba(0,0,0,0.05));
@@ -272,126 +788,359 @@ class ForecastTemperatureAccuracyCard extends LitElement {
         border: 1px solid var(--divider-color);
       }
 
-      .secondary-header {
+      .leaderboard-header {
         font-size: 13px;
         font-weight: 500;
         color: var(--secondary-text-color);
         margin-bottom: 8px;
       }
 
-      .secondary-comparison {
-        display: grid;
-        grid-template-columns: 1fr 1fr 1fr;
-        gap: 8px;
+      .leaderboard {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 12px;
         text-align: center;
-      }
-
-      .secondary-value-box {
-        padding: 8px;
-        border-radius: 6px;
-        background: var(--ha-card-background, var(--card-background-color));
         cursor: help;
       }
 
-      .secondary-value-label {
+      .leaderboard th {
         font-size: 10px;
+        font-weight: 500;
         color: var(--secondary-text-color);
         text-transform: uppercase;
-        letter-spacing: 0.5px;
+        padding: 4px;
+        border-bottom: 1px solid var(--divider-color);
       }
 
-      .secondary-value-number {
-        font-size: 18px;
-        font-weight: 500;
+      .leaderboard td {
+        padding: 6px 4px;
         color: var(--primary-text-color);
       }
 
-      .secondary-stats {
-        display: grid;
-        grid-template-columns: repeat(4, 1fr);
-        gap: 8px;
-        margin-top: 8px;
-      }
-
-      .secondary-stat {
-        text-align: center;
-        padding: 4px;
+      .leaderboard td.source-name {
+        text-align: left;
+        font-weight: 500;
+        white-space: nowrap;
       }
 
-      .secondary-stat-label {
-        font-size: 9px;
-        color: var(--secondary-text-color);
-        text-transform: uppercase;
+      .leaderboard .source-swatch {
+        display: inline-block;
+        width: 10px;
+        height: 10px;
+        border-radius: 2px;
+        margin-right: 6px;
       }
 
-      .secondary-stat-value {
-        font-size: 13px;
-        font-weight: 500;
-        color: var(--primary-text-color);
+      .leaderboard tr.leader td {
+        font-weight: 600;
       }
     `;
   }
 
   constructor() {
     super();
-    this._currentForecast = null;
-    this._currentForecastLookahead = null;
-    this._futureForecast = [];
-    this._currentForecastSecondary = null;
-    this._currentForecastSecondaryLookahead = null;
-    this._futureForecastSecondary = [];
+    this._forecasts = {}; // source id -> { current, hourly, lookahead, lookaheadTime, future }
     this._currentActual = null;
-    this._statistics = null;
-    this._statisticsSecondary = null;
+    this._statistics = null; // source id -> statistics
     this._loading = true;
     this._error = null;
     this._lastFetch = 0;
+    this._nextPendingDue = null;
+    this._requestCache = new Map(); // url -> pending request, reset every refresh
+    this._backfillStarted = false;
+    this._historyCache = new Map(); // storage key -> stored history JSON, read by _syncHistoryStorage
+    this._parsedHistories = new Map(); // storage key -> { stored, history }, parsed once per stored JSON
+    this._storage = 'local'; // backend in use: the configured one, or local after it failed
+    this._historyWriter = true; // false while another browser holds the Home Assistant writer lease
+    this._historyWrites = Promise.resolve(); // storage writes run one after another
+    this._indexedDbRows = new Map(); // storage key -> row id -> stored record JSON, to write only changes
+    this._verifying = false;
     this._refreshTimer = null;
     this._chart = null;
+    this._reliabilityChart = null;
     this._chartReady = false;
+    this._chartView = 'history';
   }
 
   setConfig(config) {
-    if (!config.temperature_sensor) {
-      throw new Error('temperature_sensor is required');
+    const variable = config.variable || 'temperature';
+    if (!VARIABLES[variable]) {
+      throw new Error(`Unknown variable: ${variable} (supported: ${Object.keys(VARIABLES).join(', ')})`);
     }
 
-    // Validate that at least one forecast source is provided
-    const hasCoordinates = config.latitude !== undefined && config.longitude !== undefined;
-    const hasTempest = !!config.tempest_api_key && !!config.tempest_station_id;
-
-    if (!hasCoordinates && !hasTempest) {
-      throw new Error('A forecast source is required: latitude/longitude (Open-Meteo) or tempest_api_key/tempest_station_id (Tempest)');
+    // `sensor` is the general name; `temperature_sensor` predates other variables
+    const sensor = config.sensor || config.temperature_sensor;
+    if (!sensor) {
+      throw new Error('temperature_sensor (or sensor) is required');
     }
 
     this.config = {
-      title: config.title || 'Forecast Temperature Accuracy',
-      temperature_sensor: config.temperature_sensor,
-      latitude: config.latitude,
-      longitude: config.longitude,
-      tempest_api_key: config.tempest_api_key || null,
-      tempest_station_id: config.tempest_station_id || null,
+      title: config.title || `Forecast ${VARIABLES[variable].name} Accuracy`,
+      variable,
+      temperature_sensor: sensor,
+      sources: this._normalizeSources(config, variable),
       unit: config.unit || null, // null = auto from HA
       history_days: config.history_days || DEFAULT_HISTORY_DAYS,
       refresh_interval: config.refresh_interval || DEFAULT_REFRESH_INTERVAL,
       show_chart: config.show_chart !== false,
       chart_height: config.chart_height || 200,
-      forecast_lookahead: config.forecast_lookahead || 0 // hours ahead for forecast (0 = current)
+      forecast_lookahead: config.forecast_lookahead || 0, // hours ahead for forecast (0 = current)
+      lead_times: this._parseLeadTimes(config.lead_times), // hours ahead for the accuracy matrix
+      backfill: config.backfill !== false, // fill empty history from the recorder and forecast archives
+      daily_issue_hour: this._parseIssueHour(config.daily_issue_hour), // null = no daily high/low verification
+      actual_method: config.actual_method || 'instant',
+      actual_window: config.actual_window || null, // minutes, null = per source (see actualWindow)
+      accuracy_threshold: this._parseThreshold(config.accuracy_threshold, VARIABLES[variable]), // null = variable default
+      stats: this._parseStatistics(config.stats),
+      trend_window: config.trend_window || 24, // hours; the trend compares the last two windows
+      trend_confidence: config.trend_confidence || 95, // % confidence a trend needs to be reported
+      precipitation_sensor: config.precipitation_sensor || null, // rain or precipitation entity, null = no precipitation verification
+      bias_correction: config.bias_correction === true ? 'hour' : (config.bias_correction || null), // null = off
+      chart_view: config.chart_view || 'history',
+      skill_scores: config.skill_scores === true, // compare with persistence and climatology baselines
+      condition_breakdown: config.condition_breakdown === true, // accuracy by weather regime
+      storage: config.storage || 'local', // history backend, see HISTORY_STORAGES
+      raw_days: config.raw_days || DEFAULT_RAW_DAYS, // days of raw records before they become daily aggregates
+      daily_days: config.daily_days || DEFAULT_DAILY_DAYS, // days of daily aggregates before they become monthly ones
+      quality_checks: config.quality_checks !== false, // flag stale, out-of-range and implausible readings
+      max_sensor_age: config.max_sensor_age || DEFAULT_MAX_SENSOR_AGE // minutes
     };
+
+    if (!(this.config.trend_window > 0)) {
+      throw new Error(`trend_window must be a number of hours, got: ${config.trend_window}`);
+    }
+    if (!(this.config.trend_confidence >= 50 && this.config.trend_confidence < 100)) {
+      throw new Error(`trend_confidence must be a percentage from 50 to 99.9, got: ${config.trend_confidence}`);
+    }
+    if (!HISTORY_STORAGES[this.config.storage]) {
+      throw new Error(`Unknown storage: ${this.config.storage} (supported: ${Object.keys(HISTORY_STORAGES).join(', ')})`);
+    }
+    if (!(this.config.history_days >= 1)) {
+      throw new Error(`history_days must be a number of days, got: ${config.history_days}`);
+    }
+    // More days than the storage holds is capped rather than refused, so older configs keep working
+    const maxHistoryDays = HISTORY_STORAGES[this.config.storage].maxHistoryDays || MAX_HISTORY_DAYS;
+    if (this.config.history_days > maxHistoryDays) {
+      console.warn(`history_days ${config.history_days} is more than ${this.config.storage} storage keeps, using ${maxHistoryDays}`);
+      this.config.history_days = maxHistoryDays;
+    }
+    this._storage = this.config.storage;
+    this._historyCache = new Map();
+    this._parsedHistories = new Map();
+    this._indexedDbRows = new Map();
+    if (!(this.config.raw_days >= 1 && this.config.daily_days >= this.config.raw_days)) {
+      throw new Error(`raw_days must be at least 1 and daily_days at least raw_days, got: ${config.raw_days}, ${config.daily_days}`);
+    }
+    if (!(this.config.max_sensor_age > 0)) {
+      throw new Error(`max_sensor_age must be a number of minutes, got: ${config.max_sensor_age}`);
+    }
+    if (this.config.bias_correction !== null && !BIAS_CORRECTION_MODES.includes(this.config.bias_correction)) {
+      throw new Error(`Unknown bias_correction: ${this.config.bias_correction} (supported: true, ${BIAS_CORRECTION_MODES.join(', ')})`);
+    }
+    if (!CHART_VIEWS.includes(this.config.chart_view)) {
+      throw new Error(`Unknown chart_view: ${this.config.chart_view} (supported: ${CHART_VIEWS.join(', ')})`);
+    }
+    this._chartView = this.config.chart_view;
+    if (!ACTUAL_METHODS.includes(this.config.actual_method)) {
+      throw new Error(`Unknown actual_method: ${this.config.actual_method} (supported: ${ACTUAL_METHODS.join(', ')})`);
+    }
+  }
+
+  // Validate the configured sources and fill in id, color and storage suffix.
+  // The first source is primary.
+  _normalizeSources(config, variable = 'temperature') {
+    const sources = buildSourceList(config);
+    if (sources.length === 0) {
+      throw new Error('A forecast source is required: a sources list, latitude/longitude (Open-Meteo), tempest_api_key/tempest_station_id (Tempest) or weather_entity (Home Assistant weather entity)');
+    }
+
+    const usedIds = new Set();
+    const expanded = sources.flatMap(source => this._expandModels(source));
+    const validated = expanded.map((source, index) => {
+      const adapter = FORECAST_SOURCES[source.type];
+      if (!adapter) {
+        throw new Error(`Unknown forecast source type: ${source.type} (supported: ${Object.keys(FORECAST_SOURCES).join(', ')})`);
+      }
+
+      const missing = adapter.required.filter(param => source[param] === undefined || source[param] === null || source[param] === '');
+      if (missing.length > 0) {
+        throw new Error(`${adapter.name} source requires: ${missing.join(', ')}`);
+      }
+      if (source.headers !== undefined && (source.headers === null || typeof source.headers !== 'object' || Array.isArray(source.headers))) {
+        throw new Error(`${adapter.name} source: headers must map header names to values`);
+      }
+      if (!VARIABLES[variable].fields[source.type]) {
+        throw new Error(`${adapter.name} source has no ${VARIABLES[variable].name.toLowerCase()} forecast`);
+      }
+
+      // Ids name the storage key, so keep them stable and unique
+      const baseId = String(source.id || source.type).replace(/[^a-zA-Z0-9_-]/g, '_');
+      let id = baseId;
+      for (let n = 2; usedIds.has(id); n++) {
+        id = `${baseId}_${n}`;
+      }
+      usedIds.add(id);
+
+      return {
+        ...source,
+        id,
+        label: source.label || null,
+        color: source.color || SOURCE_COLORS[index % SOURCE_COLORS.length]
+      };
+    });
+
+    const suffixes = this._getStorageSuffixes(expanded);
+    return validated.map((source, index) => ({ ...source, ...suffixes[index] }));
+  }
+
+  // Storage key suffix of each source, from what it forecasts rather than its place in the list, so
+  // reordering or removing sources keeps every history with its source: the configured `id`, or the
+  // adapter's storageId (station, entity, location or URL). Sources that may own a history under the
+  // keys from before source lists get it as legacyStorageSuffix (moved once, see _moveLegacyHistories):
+  // a single Tempest source (or without one, a single Open-Meteo source) the unsuffixed key, and a
+  // single Open-Meteo source next to Tempest `_openmeteo`. Returns [{ storageSuffix, legacyStorageSuffix }].
+  _getStorageSuffixes(sources) {
+    // Only Open-Meteo's blended forecast existed then: a model source (even the only one) starts its own history
+    const legacy = (type) => sources.filter(source => source.type === type && !source.id && !source.model);
+    const tempest = legacy('tempest');
+    const openmeteo = legacy('openmeteo');
+    const legacySuffixes = new Map();
+    if (tempest.length === 1) {
+      legacySuffixes.set(tempest[0], '');
+    }
+    if (openmeteo.length === 1 && tempest.length <= 1) {
+      legacySuffixes.set(openmeteo[0], tempest.length === 1 ? '_openmeteo' : '');
+    }
+
+    // Identical sources (same type and storageId) are numbered
+    const used = new Set();
+    return sources.map(source => {
+      const base = `_${String(source.id || FORECAST_SOURCES[source.type].storageId(source)).replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+      let suffix = base;
+      for (let n = 2; used.has(suffix) || suffix === '_openmeteo'; n++) {
+        suffix = `${base}_${n}`;
+      }
+      used.add(suffix);
+      return { storageSuffix: suffix, legacyStorageSuffix: legacySuffixes.get(source) };
+    });
+  }
+
+  // An Open-Meteo source with several `models` becomes one source per model. They share a
+  // single request (see _sharedRequest) but get their own history, statistics and chart line.
+  _expandModels(source) {
+    if (source.type !== 'openmeteo' || !source.models) {
+      return [source];
+    }
+
+    const models = (Array.isArray(source.models) ? source.models : String(source.models).split(','))
+      .map(m => String(m).trim())
+      .filter(m => m);
+    if (models.length === 0) {
+      const { models: _unused, ...rest } = source;
+      return [rest];
+    }
+
+    const baseId = source.id || 'openmeteo';
+    return models.map(model => ({
+      ...source,
+      models,
+      model,
+      id: `${baseId}_${model}`,
+      label: source.label ? `${source.label} ${OPEN_METEO_MODELS[model] || model}` : null,
+      color: models.length === 1 ? source.color : null
+    }));
+  }
+
+  _parseIssueHour(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const hour = Number(value);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      throw new Error(`daily_issue_hour must be an hour from 0 to 23, got: ${value}`);
+    }
+    return hour;
+  }
+
+  // A number in the display unit, or a string naming its unit ("2 °F", "1.5 m/s"). Returns { value, unit }
+  // with unit null for the display unit, or null when not set.
+  _parseThreshold(value, variable) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(.*?)\s*$/.exec(String(value));
+    if (!match || Number(match[1]) <= 0) {
+      throw new Error(`accuracy_threshold must be a positive number, optionally with a unit (e.g. 2 or "1.5 °C"), got: ${value}`);
+    }
+    if (!match[2]) {
+      return { value: Number(match[1]), unit: null };
+    }
+
+    const units = variable.kind === 'temperature' ? ['C', 'F'] : Object.keys(UNIT_FACTORS[variable.kind]);
+    const unit = variable.kind === 'temperature'
+      ? match[2].replace('°', '').trim().toUpperCase()
+      : this._canonicalUnit(match[2]);
+    if (!units.includes(unit)) {
+      throw new Error(`Unknown accuracy_threshold unit for ${variable.name.toLowerCase()}: ${match[2]} (supported: ${units.join(', ')})`);
+    }
+    return { value: Number(match[1]), unit };
+  }
+
+  // Accepts a list or a comma-separated string of STATISTICS names
+  _parseStatistics(stats) {
+    if (!stats) {
+      return DEFAULT_STATISTICS;
+    }
+
+    const names = (Array.isArray(stats) ? stats : String(stats).split(',')).map(name => String(name).trim()).filter(name => name);
+    const unknown = names.filter(name => !STATISTICS.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown stats: ${unknown.join(', ')} (supported: ${STATISTICS.join(', ')})`);
+    }
+    return names;
+  }
+
+  // Accepts a list of hours or a comma-separated string; returns sorted unique hours (0-48)
+  _parseLeadTimes(leadTimes) {
+    if (!leadTimes) {
+      return [];
+    }
+
+    const values = Array.isArray(leadTimes) ? leadTimes : String(leadTimes).split(',');
+    const hours = values
+      .map(v => parseInt(v, 10))
+      .filter(v => !isNaN(v) && v >= 0 && v <= MAX_LEAD_TIME);
+    return [...new Set(hours)].sort((a, b) => a - b);
+  }
+
+  _getSourceLabel(source) {
+    if (source.label) {
+      return source.label;
+    }
+    const adapter = FORECAST_SOURCES[source.type];
+    return adapter.label ? adapter.label(source, this.hass) : adapter.name;
   }
 
-  // Comparison mode: Tempest is primary, Open-Meteo is secondary reference
+  // Comparison mode: more than one source, the first one is primary
   _isComparisonMode() {
-    const hasCoordinates = this.config.latitude !== undefined && this.config.longitude !== undefined;
-    const hasTempest = !!this.config.tempest_api_key && !!this.config.tempest_station_id;
-    return hasCoordinates && hasTempest;
+    return this.config.sources.length > 1;
   }
 
   connectedCallback() {
     super.connectedCallback();
     this._startRefreshTimer();
 
-    // Load ApexCharts library
+    // Short stable hash of a string (djb2, base 36), for ids built from long values such as URLs
+function hashString(value) {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+// Load ApexCharts library
     if (this.config?.show_chart) {
       loadApexCharts()
         .then(() => {
@@ -407,6 +1156,7 @@ class ForecastTemperatureAccuracyCard extends LitElement {
     super.disconnectedCallback();
     this._stopRefreshTimer();
     this._destroyChart();
+    this._destroyReliabilityChart();
   }
 
   _startRefreshTimer() {
@@ -429,6 +1179,13 @@ class ForecastTemperatureAccuracyCard extends LitElement {
     }
   }
 
+  _destroyReliabilityChart() {
+    if (this._reliabilityChart) {
+      this._reliabilityChart.destroy();
+      this._reliabilityChart = null;
+    }
+  }
+
   updated(changedProps) {
     if (changedProps.has('hass') && this.hass) {
       const now = Date.now();
@@ -440,14 +1197,20 @@ class ForecastTemperatureAccuracyCard extends LitElement {
       } else {
         // Just update actual temperature from sensor
         this._updateActualTemperature();
+
+        // Score queued lookahead forecasts as soon as their target hour arrives
+        if (this._nextPendingDue !== null && now >= this._nextPendingDue) {
+          this._verifyDueForecasts();
+        }
       }
     }
 
     // Render chart after DOM update if we have data and chart is ready
-    if ((changedProps.has('_statistics') || changedProps.has('_chartReady')) &&
+    if ((changedProps.has('_statistics') || changedProps.has('_chartReady') || changedProps.has('_chartView')) &&
         this._statistics && this._chartReady && this.config.show_chart) {
       this.updateComplete.then(() => {
         this._renderApexChart();
+        this._renderReliabilityChart();
       });
     }
   }
@@ -463,29 +1226,56 @@ class ForecastTemperatureAccuracyCard extends LitElement {
       // Get actual temperature from sensor
       this._updateActualTemperature();
 
-      // Get forecast temperature from configured source(s)
-      if (this._isComparisonMode()) {
-        // Comparison mode: Tempest is primary, Open-Meteo is secondary
-        await this._fetchFromTempest();
-        await this._fetchFromOpenMeteoSecondary();
-      } else if (this.config.tempest_api_key && this.config.tempest_station_id) {
-        await this._fetchFromTempest();
-      } else {
-        await this._fetchFromOpenMeteo();
+      // Read the stored histories (shared storage may have been updated by another browser)
+      await this._syncHistoryStorage();
+
+      // Get forecast temperature from every configured source. Errors from the primary
+      // source are shown on the card; the others only warn so one failing provider
+      // doesn't hide the rest.
+      const forecasts = {};
+      this._requestCache = new Map();
+      for (const [index, source] of this.config.sources.entries()) {
+        try {
+          forecasts[source.id] = await this._fetchSource(source);
+        } catch (error) {
+          if (index === 0) {
+            throw error;
+          }
+          console.warn(`${this._getSourceLabel(source)} fetch error:`, error);
+          forecasts[source.id] = null;
+        }
       }
+      this._forecasts = forecasts;
 
-      // Record the comparison(s) if we have values
-      if (this._currentForecast !== null && this._currentActual !== null) {
-        this._recordComparison();
-      }
-      if (this._isComparisonMode() && this._currentForecastSecondary !== null && this._currentActual !== null) {
-        this._recordComparisonSecondary();
+      // Time-averaged actuals come from recorder history (one request covers every source)
+      const states = await this._fetchRecentStates();
+
+      // Record the comparison(s) if we have values; every source's forecast is needed for the deviation check
+      const currentForecasts = Object.values(forecasts).map(f => f?.current).filter(v => v !== null && v !== undefined);
+      for (const source of this.config.sources) {
+        if (forecasts[source.id] && this._currentActual !== null) {
+          this._recordComparison(source, forecasts[source.id], states, currentForecasts);
+        }
       }
 
       // Calculate statistics from stored history
       this._calculateStatistics();
-      if (this._isComparisonMode()) {
-        this._calculateStatisticsSecondary();
+      this._refreshPendingDue();
+
+      // Score yesterday's (or earlier) daily high/low forecasts against the recorder
+      if (this.config.daily_issue_hour !== null) {
+        await this._verifyDailyForecasts();
+      }
+
+      // Score precipitation probabilities for hours that have ended
+      if (this.config.precipitation_sensor) {
+        await this._verifyPrecipitationForecasts();
+      }
+
+      // Backfill once per page load, in the background (only the browser that writes shared history)
+      if (this.config.backfill && !this._backfillStarted && this._historyWriter) {
+        this._backfillStarted = true;
+        this._backfillHistory();
       }
 
     } catch (error) {
@@ -496,6 +1286,23 @@ class ForecastTemperatureAccuracyCard extends LitElement {
     }
   }
 
+  // Fetch one source through its adapter and pick the lookahead values for the chart
+  async _fetchSource(source) {
+    const adapter = FORECAST_SOURCES[source.type];
+    const result = await this[adapter.fetch](source);
+    const lookahead = this._selectLookahead(result.hourly, this.config.forecast_lookahead);
+
+    return {
+      current: result.current,
+      hourly: result.hourly,
+      lookahead: lookahead.temp,
+      lookaheadTime: lookahead.validTime,
+      future: lookahead.futureData,
+      precipitation: result.precipitation || [],
+      conditions: result.conditions || null
+    };
+  }
+
   _updateActualTemperature() {
     const sensorState = this.hass.states[this.config.temperature_sensor];
     if (!sensorState) {
@@ -508,86 +1315,202 @@ class ForecastTemperatureAccuracyCard extends LitElement {
     }
 
     // Convert if needed
-    this._currentActual = this._normalizeTemperature(
+    this._currentActual = this._normalizeValue(
       value,
       sensorState.attributes.unit_of_measurement
     );
   }
 
-  async _fetchFromOpenMeteo() {
-    const { latitude, longitude, forecast_lookahead } = this.config;
+  async _fetchFromOpenMeteo(source) {
+    const { latitude, longitude, models, model } = source;
+    const variable = this._getSourceField(source);
 
-    // Always request current + hourly if lookahead is enabled
-    const needsLookahead = forecast_lookahead > 0;
-    let url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&timezone=auto&current=temperature_2m`;
+    // Always request current + hourly if lookahead or lead-time verification is enabled
+    const needsHourly = this._needsHourlyForecast();
+    // Weather conditions for the condition breakdown come with the current values
+    const currentFields = [...new Set([variable, 'temperature_2m', 'cloud_cover', 'wind_speed_10m', 'precipitation', 'is_day'])];
+    let url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&timezone=auto&timeformat=unixtime&current=${currentFields.join(',')}`;
 
-    if (needsLookahead) {
-      url += '&hourly=temperature_2m&forecast_hours=48';
+    const precipitationField = this.config.precipitation_sensor ? PRECIPITATION_FIELDS.openmeteo : null;
+    if (needsHourly) {
+      url += `&hourly=${precipitationField ? `${variable},${precipitationField}` : variable}&forecast_hours=${this._getForecastHours()}`;
     }
-
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Open-Meteo API error: ${response.status}`);
+    if (models) {
+      url += `&models=${models.join(',')}`;
     }
 
-    const data = await response.json();
+    const data = await this._fetchOpenMeteoJson(url);
 
-    // Always get current temperature for comparisons
-    if (!data.current || data.current.temperature_2m === undefined) {
-      throw new Error('Invalid Open-Meteo response - no current temperature');
+    // With several models every variable is suffixed with the model id
+    const suffix = models && models.length > 1 ? `_${model}` : '';
+    const field = `${variable}${suffix}`;
+    const modelName = model ? ` (${OPEN_METEO_MODELS[model] || model})` : '';
+
+    // Always get the current value for comparisons
+    if (!data.current || data.current[field] === undefined || data.current[field] === null) {
+      throw new Error(`Invalid Open-Meteo response${modelName} - no current ${variable}`);
     }
-    this._currentForecast = this._normalizeTemperature(data.current.temperature_2m, 'C');
 
-    // Get lookahead forecast for chart if enabled
-    if (needsLookahead) {
-      if (!data.hourly || !data.hourly.temperature_2m || !data.hourly.time) {
-        console.warn('Open-Meteo: no hourly forecast data for lookahead');
-        this._currentForecastLookahead = null;
-        this._futureForecast = [];
-      } else {
-        const now = new Date();
-        const futureData = [];
-
-        // Build future forecast array for chart (from now to now + lookahead hours)
-        for (let i = 0; i < data.hourly.time.length && i <= forecast_lookahead; i++) {
-          const forecastTime = new Date(data.hourly.time[i]);
-          // Only include hours from now onwards
-          if (forecastTime >= now) {
-            futureData.push({
-              timestamp: forecastTime.getTime(),
-              temp: this._normalizeTemperature(data.hourly.temperature_2m[i], 'C')
-            });
-          }
-        }
-        this._futureForecast = futureData;
-
-        // Get the specific lookahead value
-        const targetTime = new Date();
-        targetTime.setHours(targetTime.getHours() + forecast_lookahead);
-        targetTime.setMinutes(0, 0, 0);
-        const targetISOHour = targetTime.toISOString().slice(0, 13);
-
-        const hourIndex = data.hourly.time.findIndex(t => t.startsWith(targetISOHour));
-        let lookaheadTemp;
-        if (hourIndex === -1) {
-          const fallbackIndex = Math.min(forecast_lookahead, data.hourly.temperature_2m.length - 1);
-          lookaheadTemp = data.hourly.temperature_2m[fallbackIndex];
-        } else {
-          lookaheadTemp = data.hourly.temperature_2m[hourIndex];
-        }
-        this._currentForecastLookahead = this._normalizeTemperature(lookaheadTemp, 'C');
+    // Keep the hourly forecast for the lookahead chart and lead-time verification
+    if (needsHourly && (!data.hourly || !data.hourly[field] || !data.hourly.time)) {
+      console.warn(`Open-Meteo${modelName}: no hourly forecast data for lookahead`);
+    }
+
+    return {
+      current: this._normalizeValue(data.current[field], data.current_units?.[field]),
+      hourly: needsHourly ? this._parseOpenMeteoHourly(data.hourly, field, data.hourly_units?.[field]) : [],
+      precipitation: precipitationField ? this._parseOpenMeteoPrecipitation(data.hourly, `${precipitationField}${suffix}`) : [],
+      conditions: this._parseOpenMeteoConditions(data, suffix)
+    };
+  }
+
+  // Current weather conditions in base units (see CONDITION_BREAKDOWNS)
+  _parseOpenMeteoConditions(data, suffix) {
+    const value = (field) => data.current[`${field}${suffix}`] ?? null;
+    const unit = (field) => data.current_units?.[`${field}${suffix}`];
+    const isDay = value('is_day');
+    return {
+      cloud_cover: value('cloud_cover'),
+      wind_speed: this._toBaseUnit('wind_speed', value('wind_speed_10m'), unit('wind_speed_10m')),
+      precipitation: value('precipitation') !== null ? value('precipitation') > 0 : null,
+      is_day: isDay !== null ? isDay === 1 : null,
+      temperature: this._toBaseUnit('temperature', value('temperature_2m'), unit('temperature_2m'))
+    };
+  }
+
+  _fetchOpenMeteoJson(url) {
+    return this._sharedRequest(url, async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        // Open-Meteo explains bad requests (unknown model, date out of range) in `reason`
+        const reason = await response.json().then(body => body.reason).catch(() => null);
+        throw new Error(`Open-Meteo API error: ${response.status}${reason ? ` - ${reason}` : ''}`);
+      }
+      return response.json();
+    });
+  }
+
+  // Archived Open-Meteo forecasts for [start, end]: the historical-forecast API for lead 0 and
+  // the previous-runs API (runs 1-7 days older) for lead times that are whole days.
+  // Returns { lead: [{timestamp, temp}] }.
+  async _backfillFromOpenMeteo(source, start, end) {
+    const { latitude, longitude, models, model } = source;
+    const variable = this._getSourceField(source);
+    const suffix = models && models.length > 1 ? `_${model}` : '';
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    // Dates are in the location's timezone, so pad a day on each side; callers filter by timestamp
+    let query = `latitude=${latitude}&longitude=${longitude}&timezone=auto&timeformat=unixtime` +
+      `&start_date=${this._getDayKey(start - dayMs)}&end_date=${this._getDayKey(Math.min(end + dayMs, Date.now()))}`;
+    if (models) {
+      query += `&models=${models.join(',')}`;
+    }
+
+    const archived = await this._fetchOpenMeteoJson(`https://historical-forecast-api.open-meteo.com/v1/forecast?${query}&hourly=${variable}`);
+    const field = `${variable}${suffix}`;
+    const forecasts = { 0: this._parseOpenMeteoHourly(archived.hourly, field, archived.hourly_units?.[field]) };
+
+    const previousDays = this._getVerifiedLeadTimes()
+      .filter(lead => lead % 24 === 0 && lead / 24 <= 7)
+      .map(lead => lead / 24);
+    if (previousDays.length > 0) {
+      const fields = previousDays.map(day => `${variable}_previous_day${day}`);
+      const runs = await this._fetchOpenMeteoJson(`https://previous-runs-api.open-meteo.com/v1/forecast?${query}&hourly=${fields.join(',')}`);
+      for (const day of previousDays) {
+        const previousField = `${variable}_previous_day${day}${suffix}`;
+        forecasts[day * 24] = this._parseOpenMeteoHourly(runs.hourly, previousField, runs.hourly_units?.[previousField]);
+      }
+    }
+
+    return forecasts;
+  }
+
+  // Run a request once per refresh, so sources sharing a URL (Open-Meteo models) make one call
+  _sharedRequest(url, request) {
+    if (!this._requestCache.has(url)) {
+      this._requestCache.set(url, request());
+    }
+    return this._requestCache.get(url);
+  }
+
+  // Convert an Open-Meteo hourly block (requested with timeformat=unixtime) to [{timestamp, temp}]
+  _parseOpenMeteoHourly(hourly, field, unit) {
+    if (!hourly || !hourly[field] || !hourly.time) {
+      return [];
+    }
+
+    return hourly.time
+      .map((time, i) => ({
+        timestamp: time * 1000,
+        temp: hourly[field][i]
+      }))
+      .filter(e => e.temp !== undefined && e.temp !== null)
+      .map(e => ({
+        timestamp: e.timestamp,
+        temp: this._normalizeValue(e.temp, unit)
+      }));
+  }
+
+  // Open-Meteo's precipitation probability covers the preceding hour, so key it by that hour's start
+  _parseOpenMeteoPrecipitation(hourly, field) {
+    if (!hourly || !hourly[field] || !hourly.time) {
+      return [];
+    }
+
+    return this._cleanPrecipitation(hourly.time.map((time, i) => ({
+      timestamp: (time - 3600) * 1000,
+      probability: hourly[field][i]
+    })));
+  }
+
+  // Valid hourly probabilities as [{timestamp (start of the hour), probability (0-100)}]
+  _cleanPrecipitation(entries) {
+    return entries.filter(e => !isNaN(e.timestamp) && typeof e.probability === 'number' &&
+      e.probability >= 0 && e.probability <= 100);
+  }
+
+  // Pick the chart series and the lookahead value (with the hour it is valid for)
+  // from a normalized hourly forecast
+  _selectLookahead(hourlyForecast, forecastLookahead) {
+    if (!forecastLookahead || hourlyForecast.length === 0) {
+      return { futureData: [], temp: null, validTime: null };
+    }
+
+    const now = Date.now();
+    const targetTimestamp = now + (forecastLookahead * 3600 * 1000);
+
+    // Build future forecast array for chart (from now to now + lookahead hours)
+    const futureData = hourlyForecast.filter(e => e.timestamp >= now && e.timestamp <= targetTimestamp);
+
+    const nearest = this._findNearestHourly(hourlyForecast, targetTimestamp);
+    return {
+      futureData,
+      temp: nearest ? nearest.temp : null,
+      validTime: nearest ? nearest.timestamp : null
+    };
+  }
+
+  // Find the hourly entry ({timestamp, temp}) closest to the target time
+  _findNearestHourly(entries, targetTimestamp) {
+    let nearest = null;
+    let closestDiff = Infinity;
+
+    for (const entry of entries) {
+      if (!entry.timestamp || entry.temp === undefined || entry.temp === null) continue;
+      const diff = Math.abs(entry.timestamp - targetTimestamp);
+      if (diff < closestDiff) {
+        closestDiff = diff;
+        nearest = entry;
       }
-    } else {
-      this._currentForecastLookahead = null;
-      this._futureForecast = [];
     }
+    return nearest;
   }
 
-  async _fetchFromTempest() {
-    const { tempest_api_key, tempest_station_id, forecast_lookahead } = this.config;
+  async _fetchFromTempest(source) {
+    const { api_key, station_id } = source;
 
     // Request temperature in Fahrenheit (we'll convert as needed)
-    const url = `https://swd.weatherflow.com/swd/rest/better_forecast?station_id=${tempest_station_id}&units_temp=f&units_wind=mph&units_pressure=hpa&units_precip=in&units_distance=mi&api_key=${tempest_api_key}`;
+    const url = `https://swd.weatherflow.com/swd/rest/better_forecast?station_id=${station_id}&units_temp=f&units_wind=mph&units_pressure=hpa&units_precip=in&units_distance=mi&api_key=${api_key}`;
 
     const response = await fetch(url, {
       headers: {
@@ -634,141 +1557,421 @@ class ForecastTemperatureAccuracyCard extends LitElement {
       }
     }
 
-    const forecastTemp = currentForecast.air_temperature;
-    if (forecastTemp === undefined || forecastTemp === null) {
-      throw new Error('Tempest API: No air_temperature in forecast');
+    // Units follow the request: temperatures in F, wind in mph, pressure in hPa
+    const field = this._getSourceField(source);
+    const units = { air_temperature: 'F', dew_point: 'C', relative_humidity: '%', wind_avg: 'mph', sea_level_pressure: 'hPa' };
+    const valueOf = (hourly) => field === 'dew_point'
+      ? this._calculateDewPoint(hourly.air_temperature, hourly.relative_humidity)
+      : hourly[field];
+
+    const forecastValue = valueOf(currentForecast);
+    if (forecastValue === undefined || forecastValue === null) {
+      throw new Error(`Tempest API: No ${field} in forecast`);
     }
 
-    // Always set current forecast for comparisons
-    this._currentForecast = this._normalizeTemperature(forecastTemp, 'F');
+    // Tempest has no cloud cover; its icon tells clear, partly cloudy or cloudy and day or night
+    const icon = currentForecast.icon || '';
+    const conditions = {
+      cloud_cover: icon.startsWith('clear') ? 0 : icon.startsWith('partly-cloudy') ? 50 : icon && icon !== 'windy' ? 100 : null,
+      wind_speed: this._toBaseUnit('wind_speed', currentForecast.wind_avg, 'mph'),
+      precipitation: typeof currentForecast.precip === 'number' ? currentForecast.precip > 0 : null,
+      is_day: icon.endsWith('-day') ? true : icon.endsWith('-night') ? false : null,
+      temperature: this._toBaseUnit('temperature', currentForecast.air_temperature, 'F')
+    };
 
-    // Get lookahead forecast for chart if enabled
-    if (forecast_lookahead > 0) {
-      const futureData = [];
-      const maxTimestamp = currentTimestamp + (forecast_lookahead * 3600);
+    return {
+      current: this._normalizeValue(forecastValue, units[field]),
+      conditions,
+      // Keep the hourly forecast for the lookahead chart and lead-time verification
+      hourly: hourlyForecast
+        .filter(h => h.time && valueOf(h) !== undefined && valueOf(h) !== null)
+        .map(h => ({
+          timestamp: h.time * 1000, // Convert to milliseconds
+          temp: this._normalizeValue(valueOf(h), units[field])
+        })),
+      precipitation: this._cleanPrecipitation(hourlyForecast.map(h => ({
+        timestamp: h.time * 1000,
+        probability: h[PRECIPITATION_FIELDS.tempest]
+      })))
+    };
+  }
 
-      // Build future forecast array for chart
-      for (const hourly of hourlyForecast) {
-        if (hourly.time && hourly.time >= currentTimestamp && hourly.time <= maxTimestamp) {
-          if (hourly.air_temperature !== undefined && hourly.air_temperature !== null) {
-            futureData.push({
-              timestamp: hourly.time * 1000, // Convert to milliseconds
-              temp: this._normalizeTemperature(hourly.air_temperature, 'F')
-            });
-          }
-        }
-      }
-      this._futureForecast = futureData;
+  // Dew point (C) from a Fahrenheit temperature and relative humidity (Magnus formula)
+  _calculateDewPoint(temperatureF, humidity) {
+    if (temperatureF === undefined || temperatureF === null || !humidity) {
+      return null;
+    }
+    const temperature = (temperatureF - 32) * 5 / 9;
+    const gamma = Math.log(humidity / 100) + (17.62 * temperature) / (243.12 + temperature);
+    return (243.12 * gamma) / (17.62 - gamma);
+  }
 
-      // Get the specific lookahead value
-      const lookaheadTimestamp = currentTimestamp + (forecast_lookahead * 3600);
-      let lookaheadForecast = hourlyForecast[0];
-      let lookaheadClosestDiff = Math.abs(hourlyForecast[0].time - lookaheadTimestamp);
+  // Home Assistant weather entity (Met.no, AccuWeather, PirateWeather, ...) via weather.get_forecasts
+  async _fetchFromWeatherEntity(source) {
+    const { entity } = source;
 
-      for (const hourly of hourlyForecast) {
-        if (hourly.time) {
-          const diff = Math.abs(hourly.time - lookaheadTimestamp);
-          if (diff < lookaheadClosestDiff) {
-            lookaheadClosestDiff = diff;
-            lookaheadForecast = hourly;
-          }
-        }
-      }
+    const entityState = this.hass.states[entity];
+    if (!entityState) {
+      throw new Error(`Weather entity not found: ${entity}`);
+    }
 
-      const lookaheadTemp = lookaheadForecast.air_temperature;
-      if (lookaheadTemp !== undefined && lookaheadTemp !== null) {
-        this._currentForecastLookahead = this._normalizeTemperature(lookaheadTemp, 'F');
-      } else {
-        this._currentForecastLookahead = null;
+    let result;
+    try {
+      result = await this.hass.callWS({
+        type: 'call_service',
+        domain: 'weather',
+        service: 'get_forecasts',
+        service_data: { type: 'hourly' },
+        target: { entity_id: entity },
+        return_response: true
+      });
+    } catch (error) {
+      throw new Error(`Weather entity ${entity}: ${error.message || error.code || 'hourly forecast unavailable'}`);
+    }
+
+    const forecast = result?.response?.[entity]?.forecast;
+    if (!forecast || forecast.length === 0) {
+      throw new Error(`Weather entity ${entity}: No hourly forecast data available`);
+    }
+
+    // Forecast values use the entity's own units
+    const field = this._getSourceField(source);
+    const unitAttributes = {
+      temperature: ['temperature_unit', 'temperature'],
+      dew_point: ['temperature_unit', 'temperature'],
+      wind_speed: ['wind_speed_unit', 'wind_speed'],
+      pressure: ['pressure_unit', 'pressure']
+    };
+    const [unitAttribute, unitSystemKey] = unitAttributes[field] || [];
+    const sourceUnit = unitAttribute
+      ? entityState.attributes[unitAttribute] || this.hass.config?.unit_system?.[unitSystemKey]
+      : '%';
+
+    const hourly = forecast
+      .filter(f => f.datetime && f[field] !== undefined && f[field] !== null)
+      .map(f => ({
+        timestamp: new Date(f.datetime).getTime(),
+        temp: this._normalizeValue(f[field], sourceUnit)
+      }));
+
+    // Find the hourly entry closest to current time for comparisons
+    const current = this._findNearestHourly(hourly, Date.now());
+    if (!current) {
+      throw new Error(`Weather entity ${entity}: No ${field} in forecast`);
+    }
+
+    const precipitation = this._cleanPrecipitation(forecast.map(f => ({
+      timestamp: new Date(f.datetime).getTime(),
+      probability: f[PRECIPITATION_FIELDS.weather]
+    })));
+
+    const entry = forecast.find(f => new Date(f.datetime).getTime() === current.timestamp);
+    const attributes = entityState.attributes;
+    const conditions = {
+      cloud_cover: entry.cloud_coverage ?? null,
+      wind_speed: this._toBaseUnit('wind_speed', entry.wind_speed, attributes.wind_speed_unit || this.hass.config?.unit_system?.wind_speed),
+      precipitation: typeof entry.precipitation === 'number' ? entry.precipitation > 0
+        : entry.condition ? WET_CONDITIONS.includes(entry.condition) : null,
+      is_day: entry.is_daytime ?? null,
+      temperature: this._toBaseUnit('temperature', entry.temperature, attributes.temperature_unit || this.hass.config?.unit_system?.temperature)
+    };
+
+    return { current: current.temp, hourly, precipitation, conditions };
+  }
+
+  // US National Weather Service (api.weather.gov): /points lookup, then forecastHourly or raw gridpoint data
+  async _fetchFromNws(source) {
+    const product = source.product || 'hourly';
+    // No User-Agent: browsers don't let fetch set it and send their own
+    const headers = { 'Accept': 'application/geo+json' };
+
+    const point = await this._getNwsPoint(source, headers);
+    const url = product === 'gridpoint' ? point.forecastGridData : point.forecastHourly;
+    if (!url) {
+      throw new Error(`NWS API: No ${product === 'gridpoint' ? 'gridpoint' : 'hourly forecast'} URL for this location`);
+    }
+
+    const data = await this._fetchNwsJson(url, headers, 'Forecast');
+
+    const field = this._getSourceField(source);
+    let hourly;
+    let precipitation;
+    if (product === 'gridpoint') {
+      const layer = data.properties?.[field];
+      if (!layer?.values?.length) {
+        throw new Error(`NWS API: No ${field} data in gridpoint forecast`);
       }
+      hourly = this._expandNwsIntervals(layer.values, this._getNwsUnit(layer.uom));
+      precipitation = this._expandNwsIntervals(data.properties[PRECIPITATION_FIELDS.nws]?.values || [], null)
+        .map(h => ({ timestamp: h.timestamp, probability: h.temp }));
     } else {
-      this._currentForecastLookahead = null;
-      this._futureForecast = [];
+      const periods = data.properties?.periods;
+      if (!periods?.length) {
+        throw new Error('NWS API: No hourly forecast data available');
+      }
+      hourly = periods
+        .map(period => ({ timestamp: new Date(period.startTime).getTime(), ...this._getNwsPeriodValue(period, field) }))
+        .filter(p => !isNaN(p.timestamp) && p.value !== undefined && p.value !== null)
+        .map(p => ({ timestamp: p.timestamp, temp: this._normalizeValue(p.value, p.unit) }));
+      precipitation = periods.map(period => ({
+        timestamp: new Date(period.startTime).getTime(),
+        probability: period[PRECIPITATION_FIELDS.nws]?.value
+      }));
     }
-  }
 
-  // Fetch Open-Meteo as secondary source for comparison mode
-  async _fetchFromOpenMeteoSecondary() {
-    const { latitude, longitude, forecast_lookahead } = this.config;
+    // Find the hourly entry closest to current time for comparisons
+    const current = this._findNearestHourly(hourly, Date.now());
+    if (!current) {
+      throw new Error(`NWS API: No ${field} in forecast`);
+    }
+
+    return { current: current.temp, hourly, precipitation: this._cleanPrecipitation(precipitation) };
+  }
 
-    // Always request current + hourly if lookahead is enabled
-    const needsLookahead = forecast_lookahead > 0;
-    let url = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&timezone=auto&current=temperature_2m`;
+  // Resolve lat/lon to the NWS forecast office grid; the grid for a location rarely changes
+  async _getNwsPoint(source, headers) {
+    // NWS redirects coordinates with more than 4 decimals, so round them up front
+    const key = `${Number(Number(source.latitude).toFixed(4))},${Number(Number(source.longitude).toFixed(4))}`;
 
-    if (needsLookahead) {
-      url += '&hourly=temperature_2m&forecast_hours=48';
+    if (!nwsPointsCache.has(key)) {
+      const lookup = this._fetchNwsJson(`https://api.weather.gov/points/${key}`, headers, 'Points lookup')
+        .then(data => {
+          if (!data.properties) {
+            throw new Error('NWS API: Invalid points response');
+          }
+          const { forecastHourly, forecastGridData, gridId, gridX, gridY } = data.properties;
+          console.log(`[ForecastValidation] NWS gridpoint for ${key}: ${gridId} ${gridX},${gridY}`);
+          return { forecastHourly, forecastGridData };
+        });
+      // Failed lookups are retried on the next refresh
+      lookup.catch(() => nwsPointsCache.delete(key));
+      nwsPointsCache.set(key, lookup);
     }
 
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        console.warn(`Open-Meteo secondary fetch failed: ${response.status}`);
-        this._currentForecastSecondary = null;
-        this._currentForecastSecondaryLookahead = null;
-        this._futureForecastSecondary = [];
-        return;
+    return nwsPointsCache.get(key);
+  }
+
+  async _fetchNwsJson(url, headers, what) {
+    const response = await fetch(url, { headers });
+
+    if (!response.ok) {
+      // NWS errors are application/problem+json with a human-readable detail
+      let detail = '';
+      try {
+        detail = (await response.json()).detail || '';
+      } catch (e) {
+        // No problem body
       }
+      const suffix = detail ? ` - ${detail}` : '';
+
+      if (response.status === 404) {
+        throw new Error(`NWS API: ${what} not found (404)${suffix}. NWS only covers US locations`);
+      } else if (response.status === 403) {
+        throw new Error(`NWS API: Request rejected (403)${suffix}. NWS blocks networks that send too many requests, retrying next refresh`);
+      } else if (response.status >= 500) {
+        throw new Error(`NWS API: ${what} unavailable (${response.status})${suffix}. NWS servers often fail briefly, retrying next refresh`);
+      }
+      throw new Error(`NWS API error: ${response.status}${suffix}`);
+    }
 
-      const data = await response.json();
+    return response.json();
+  }
 
-      // Always get current temperature for comparisons
-      if (!data.current || data.current.temperature_2m === undefined) {
-        console.warn('Open-Meteo secondary: no current temperature');
-        this._currentForecastSecondary = null;
-        this._currentForecastSecondaryLookahead = null;
-        this._futureForecastSecondary = [];
-        return;
+  // Value and unit of one forecastHourly period
+  _getNwsPeriodValue(period, field) {
+    const raw = period[field];
+
+    // QuantitativeValue: dewpoint and relativeHumidity always, temperature and windSpeed behind feature flags
+    if (raw !== null && typeof raw === 'object') {
+      return { value: raw.value, unit: this._getNwsUnit(raw.unitCode) };
+    }
+    if (field === 'temperature') {
+      return { value: raw, unit: period.temperatureUnit };
+    }
+    if (field === 'windSpeed' && typeof raw === 'string') {
+      // "10 mph" or a range like "5 to 10 mph" (use the middle)
+      const numbers = (raw.match(/\d+(\.\d+)?/g) || []).map(Number);
+      const unit = raw.trim().split(/\s+/).pop();
+      return numbers.length > 0
+        ? { value: numbers.reduce((sum, n) => sum + n, 0) / numbers.length, unit }
+        : { value: null, unit };
+    }
+    return { value: raw, unit: null };
+  }
+
+  // NWS unit codes look like "wmoUnit:degC"
+  _getNwsUnit(unitCode) {
+    if (unitCode === 'wmoUnit:degF') return 'F';
+    if (unitCode === 'wmoUnit:degC') return 'C';
+    return unitCode;
+  }
+
+  // Gridpoint values cover ISO-8601 intervals ("2026-01-10T12:00:00+00:00/PT3H"); repeat each value for every hour it covers.
+  // A null unit keeps values as they are (percentages)
+  _expandNwsIntervals(values, unit) {
+    const hourly = [];
+    for (const { validTime, value } of values) {
+      if (value === null || value === undefined || !validTime) continue;
+
+      const [startText, durationText] = validTime.split('/');
+      const start = new Date(startText).getTime();
+      const duration = this._parseIsoDuration(durationText);
+      if (isNaN(start) || !duration) continue;
+
+      const temp = unit === null ? value : this._normalizeValue(value, unit);
+      for (let ts = start; ts < start + duration; ts += 60 * 60 * 1000) {
+        hourly.push({ timestamp: ts, temp });
       }
-      this._currentForecastSecondary = this._normalizeTemperature(data.current.temperature_2m, 'C');
+    }
+    return hourly.sort((a, b) => a.timestamp - b.timestamp);
+  }
 
-      // Get lookahead forecast for chart if enabled
-      if (needsLookahead) {
-        if (!data.hourly || !data.hourly.temperature_2m || !data.hourly.time) {
-          console.warn('Open-Meteo secondary: no hourly forecast data for lookahead');
-          this._currentForecastSecondaryLookahead = null;
-          this._futureForecastSecondary = [];
-        } else {
-          const now = new Date();
-          const futureData = [];
-
-          // Build future forecast array for chart
-          for (let i = 0; i < data.hourly.time.length && i <= forecast_lookahead; i++) {
-            const forecastTime = new Date(data.hourly.time[i]);
-            if (forecastTime >= now) {
-              futureData.push({
-                timestamp: forecastTime.getTime(),
-                temp: this._normalizeTemperature(data.hourly.temperature_2m[i], 'C')
-              });
-            }
-          }
-          this._futureForecastSecondary = futureData;
-
-          // Get the specific lookahead value
-          const targetTime = new Date();
-          targetTime.setHours(targetTime.getHours() + forecast_lookahead);
-          targetTime.setMinutes(0, 0, 0);
-          const targetISOHour = targetTime.toISOString().slice(0, 13);
-
-          const hourIndex = data.hourly.time.findIndex(t => t.startsWith(targetISOHour));
-          let lookaheadTemp;
-          if (hourIndex === -1) {
-            const fallbackIndex = Math.min(forecast_lookahead, data.hourly.temperature_2m.length - 1);
-            lookaheadTemp = data.hourly.temperature_2m[fallbackIndex];
-          } else {
-            lookaheadTemp = data.hourly.temperature_2m[hourIndex];
-          }
-          this._currentForecastSecondaryLookahead = this._normalizeTemperature(lookaheadTemp, 'C');
-        }
-      } else {
-        this._currentForecastSecondaryLookahead = null;
-        this._futureForecastSecondary = [];
+  // ISO-8601 duration ("PT1H", "P1DT6H") in milliseconds, or null
+  _parseIsoDuration(text) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(text || '');
+    if (!match) {
+      return null;
+    }
+    const [, days = 0, hours = 0, minutes = 0] = match;
+    return ((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 * 1000 || null;
+  }
+
+  // Any JSON API with parallel time and temperature arrays, mapped through JSON paths
+  async _fetchFromCustom(source) {
+    const name = this._getSourceLabel(source);
+    const latitude = source.latitude ?? this.hass?.config?.latitude;
+    const longitude = source.longitude ?? this.hass?.config?.longitude;
+    const fillTemplate = (text, encode) => String(text)
+      .replace(/\{lat\}/g, encode(latitude ?? ''))
+      .replace(/\{lon\}/g, encode(longitude ?? ''))
+      .replace(/\{api_key\}/g, encode(source.api_key ?? ''));
+
+    // Header values may use the same placeholders, e.g. "Bearer {api_key}"
+    const headers = { 'accept': 'application/json' };
+    for (const [header, value] of Object.entries(source.headers || {})) {
+      headers[header] = fillTemplate(value, String);
+    }
+
+    let response;
+    try {
+      response = await fetch(fillTemplate(source.url, encodeURIComponent), { headers });
+    } catch (error) {
+      throw new Error(`${name} API: Request failed (${error.message})`);
+    }
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(`${name} API: Not authorized (${response.status}), check api_key and headers`);
+      } else if (response.status === 404) {
+        throw new Error(`${name} API: Not found (404), check the url`);
       }
+      throw new Error(`${name} API error: ${response.status}`);
+    }
+
+    let data;
+    try {
+      data = await response.json();
     } catch (error) {
-      console.warn('Open-Meteo secondary fetch error:', error);
-      this._currentForecastSecondary = null;
-      this._currentForecastSecondaryLookahead = null;
-      this._futureForecastSecondary = [];
+      throw new Error(`${name} API: Response is not valid JSON`);
+    }
+
+    const times = getJsonPath(data, source.time_path);
+    const temps = getJsonPath(data, source.temperature_path);
+    if (!Array.isArray(times)) {
+      throw new Error(`${name} API: time_path "${source.time_path}" is not an array in the response`);
+    }
+    if (!Array.isArray(temps)) {
+      throw new Error(`${name} API: temperature_path "${source.temperature_path}" is not an array in the response`);
+    }
+
+    const sourceUnit = (source.unit_path && getJsonPath(data, source.unit_path)) || source.unit || 'C';
+
+    const hourly = times
+      .map((time, i) => ({ timestamp: this._parseCustomTime(time), temp: temps[i] }))
+      .filter(h => !isNaN(h.timestamp) && typeof h.temp === 'number' && !isNaN(h.temp))
+      .map(h => ({ timestamp: h.timestamp, temp: this._normalizeValue(h.temp, String(sourceUnit)) }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    // Find the hourly entry closest to current time for comparisons
+    const current = this._findNearestHourly(hourly, Date.now());
+    if (!current) {
+      throw new Error(`${name} API: No temperature in forecast`);
+    }
+
+    return { current: current.temp, hourly };
+  }
+
+  // Unix seconds, unix milliseconds or an ISO-8601 date string
+  _parseCustomTime(time) {
+    if (typeof time === 'number') {
+      return time < 1e12 ? time * 1000 : time;
+    }
+    if (typeof time === 'string' && /^\d+$/.test(time)) {
+      return this._parseCustomTime(Number(time));
+    }
+    return new Date(time).getTime();
+  }
+
+  // Hourly data is only needed for the lookahead chart and lead-time, daily and precipitation verification
+  _needsHourlyForecast() {
+    return this.config.forecast_lookahead > 0 || this._getVerifiedLeadTimes().length > 0 ||
+      this.config.daily_issue_hour !== null || this.config.precipitation_sensor !== null;
+  }
+
+  // Enough hourly entries that the longest lead time always has a nearby target hour
+  _getForecastHours() {
+    return Math.max(48, ...this._getVerifiedLeadTimes()) + 2;
+  }
+
+  // Lead times (hours > 0) whose forecasts are queued and verified
+  _getVerifiedLeadTimes() {
+    const leads = new Set(this.config.lead_times.filter(lead => lead > 0));
+    if (this.config.forecast_lookahead > 0) {
+      leads.add(this.config.forecast_lookahead);
+    }
+    return [...leads].sort((a, b) => a - b);
+  }
+
+  _getVariable() {
+    return VARIABLES[this.config.variable];
+  }
+
+  // Forecast field of the configured variable for a source (see VARIABLES)
+  _getSourceField(source) {
+    return this._getVariable().fields[source.type];
+  }
+
+  // Convert a value in sourceUnit to the display unit of the configured variable
+  _normalizeValue(value, sourceUnit) {
+    const kind = this._getVariable().kind;
+    if (kind === 'temperature') {
+      return this._normalizeTemperature(value, sourceUnit);
+    }
+
+    // Unknown units are passed through, like unrecognised temperature units
+    const factors = UNIT_FACTORS[kind];
+    const from = factors[this._canonicalUnit(sourceUnit)];
+    const to = factors[this._getDisplayUnit()];
+    return from && to ? value * from / to : value;
+  }
+
+  // Value in the base unit of a kind (°C, m/s, hPa, %), or null. Used for stored weather conditions,
+  // which must not depend on the display unit.
+  _toBaseUnit(kind, value, unit) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return null;
+    }
+    if (kind === 'temperature') {
+      return String(unit ?? '').toUpperCase().replace('DEG', '').includes('F') ? (value - 32) * 5 / 9 : value;
     }
+    const factor = UNIT_FACTORS[kind][this._canonicalUnit(unit)];
+    return factor ? value * factor : value;
+  }
+
+  // Unit string as used in UNIT_FACTORS ("km/h", "hPa", ...), or the input if unknown
+  _canonicalUnit(unit) {
+    const text = String(unit ?? '').trim();
+    return UNIT_ALIASES[text] || UNIT_ALIASES[text.toLowerCase()] || text;
   }
 
   _normalizeTemperature(value, sourceUnit) {
@@ -799,6 +2002,18 @@ class ForecastTemperatureAccuracyCard extends LitElement {
   }
 
   _getDisplayUnit() {
+    const kind = this._getVariable().kind;
+    if (kind !== 'temperature') {
+      // Configured unit, else the sensor's own unit, else HA's unit system, else the base unit
+      const factors = UNIT_FACTORS[kind];
+      const candidates = [
+        this.config.unit,
+        this.hass?.states[this.config.temperature_sensor]?.attributes.unit_of_measurement,
+        this.hass?.config?.unit_system?.[kind]
+      ].map(unit => this._canonicalUnit(unit));
+      return candidates.find(unit => factors[unit]) || Object.keys(factors)[0];
+    }
+
     if (this.config.unit) {
       return this.config.unit.toUpperCase();
     }
@@ -811,269 +2026,2194 @@ class ForecastTemperatureAccuracyCard extends LitElement {
     return 'C';
   }
 
-  _getUnitWithDegree() {
+  // Unit suffix for displayed values: °C/°F, % or " km/h"
+  _getUnitLabel() {
     const unit = this._getDisplayUnit();
-    return `°${unit}`;
+    if (this._getVariable().kind === 'temperature') {
+      return `°${unit}`;
+    }
+    return unit === '%' ? unit : ` ${unit}`;
+  }
+
+  // Errors within this are counted as accurate, in the display unit: accuracy_threshold, else the
+  // variable's default band. Bands with a unit mean the same whichever unit is shown (2°C = 3.6°F).
+  _getAccuracyThreshold() {
+    const variable = this._getVariable();
+    const { value, unit } = this.config.accuracy_threshold || { value: variable.threshold, unit: this._getBaseUnit() };
+    return Math.round(this._convertDifference(value, unit) * 10) / 10;
+  }
+
+  // Base unit of the verified variable, the unit of its thresholds and quality-check limits
+  _getBaseUnit() {
+    const variable = this._getVariable();
+    return variable.kind === 'temperature' ? 'C' : Object.keys(UNIT_FACTORS[variable.kind])[0];
+  }
+
+  // Convert a difference (so no 32° offset for temperatures) to the display unit; null unit = already in it
+  _convertDifference(value, unit) {
+    const kind = this._getVariable().kind;
+    const displayUnit = this._getDisplayUnit();
+    if (unit === null || unit === displayUnit) {
+      return value;
+    }
+    if (kind === 'temperature') {
+      return unit === 'C' ? value * 9 / 5 : value * 5 / 9;
+    }
+    const factors = UNIT_FACTORS[kind];
+    return value * factors[unit] / factors[displayUnit];
+  }
+
+  // Each source has its own history, see _getStorageSuffixes
+  _getStorageKey(source) {
+    return STORAGE_KEY_PREFIX + this.config.temperature_sensor.replace(/\./g, '_') + source.storageSuffix;
   }
 
-  _getStorageKey() {
-    return STORAGE_KEY_PREFIX + this.config.temperature_sensor.replace(/\./g, '_');
+  _getLegacyStorageKey(source) {
+    return STORAGE_KEY_PREFIX + this.config.temperature_sensor.replace(/\./g, '_') + source.legacyStorageSuffix;
   }
 
-  _loadHistory() {
+  _loadHistory(source) {
     try {
-      const key = this._getStorageKey();
-      const stored = localStorage.getItem(key);
+      const key = this._getStorageKey(source);
+      const stored = this._historyCache.get(key);
       console.log('[ForecastValidation] _loadHistory:', { key, hasData: !!stored });
       if (stored) {
+        // The stored JSON is parsed again only after it changed (a save, or another tab's write read
+        // by _syncHistoryStorage). Callers get the same object, so changes to it must be saved.
+        const parsed = this._parsedHistories.get(key);
+        if (parsed?.stored === stored) {
+          return this._preparePendingForecasts(parsed.history, this._getVerificationDelay(source));
+        }
+
         const data = JSON.parse(stored);
 
-        // Migrate from old formats (v1.x) to v2.0 simple format
-        // Old format had pending_forecasts or records with forecast as array/object
-        // New format has records with forecast as a simple number
-        if (data.pending_forecasts) {
-          console.info('Migrating forecast history to v2.0 format - clearing old pending_forecasts data');
-          return { records: [], last_updated: 0 };
+        // Keep a copy of anything that isn't the current format before upgrading or replacing it
+        const version = this._getSchemaVersion(data);
+        if (version !== SCHEMA_VERSION) {
+          this._backupHistory(key, stored, version);
+        }
+        if (version > SCHEMA_VERSION) {
+          console.warn(`Forecast history ${key} was saved by a newer card version (schema ${version}); fields it added may be lost`);
         }
 
-        // Check if records exist and first record has the old format (forecast is not a number)
-        if (data.records && data.records.length > 0) {
-          const firstRecord = data.records[0];
-          if (typeof firstRecord.forecast !== 'number') {
-            console.info('Migrating forecast history to v2.0 format - old record format detected');
-            return { records: [], last_updated: 0 };
-          }
+        const history = this._migrateHistory(data);
+        const problem = this._validateHistory(history);
+        if (problem) {
+          console.warn(`Forecast history ${key} can't be used (${problem}), starting a new history`);
+          const empty = this._emptyHistory();
+          this._parsedHistories.set(key, { stored, history: empty });
+          return empty;
         }
 
-        console.log('[ForecastValidation] Loaded records:', data.records?.length || 0);
-        return data;
+        console.log('[ForecastValidation] Loaded records:', history.records.length);
+        const prepared = this._preparePendingForecasts(history, this._getVerificationDelay(source));
+        this._parsedHistories.set(key, { stored, history: prepared });
+        if (version < SCHEMA_VERSION) {
+          this._saveHistory(source, prepared);
+        }
+        return prepared;
       }
     } catch (e) {
       console.warn('Failed to load forecast history:', e);
     }
-    return { records: [], last_updated: 0 };
+    return this._emptyHistory();
   }
 
-  _saveHistory(history) {
-    try {
-      const key = this._getStorageKey();
-      localStorage.setItem(key, JSON.stringify(history));
-      console.log('[ForecastValidation] _saveHistory:', { key, records: history.records?.length || 0 });
-    } catch (e) {
-      console.warn('Failed to save forecast history:', e);
+  // Why stored or imported data (after migration) is not a usable history, or null if it is
+  _validateHistory(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return 'not a history object';
+    }
+    for (const type of Object.keys(HISTORY_ROW_TYPES)) {
+      if (data[type] !== undefined && !Array.isArray(data[type])) {
+        return `${type} is not a list`;
+      }
+    }
+    const invalid = (data.records || []).findIndex(r =>
+      typeof r?.timestamp !== 'number' || typeof r.forecast !== 'number' || typeof r.actual !== 'number');
+    if (invalid >= 0) {
+      return `record ${invalid + 1} has no numeric timestamp, forecast and actual`;
     }
+    return null;
   }
 
-  _recordComparison() {
-    const history = this._loadHistory();
-    const now = Date.now();
+  // Schema version of stored data: its schema_version, or for histories saved before it existed 1 (v1.x,
+  // forecasts as arrays/objects) or 2. Null when the data is not a history object.
+  _getSchemaVersion(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return null;
+    }
+    if (data.schema_version) {
+      return data.schema_version;
+    }
+    const v1 = data.pending_forecasts || (Array.isArray(data.records) && data.records.some(r => typeof r?.forecast === 'object'));
+    return v1 ? 1 : 2;
+  }
 
-    // Avoid duplicate records within 80% of refresh interval (prevents double-recording on page refresh)
-    const dedupWindowMs = this.config.refresh_interval * 60 * 1000 * 0.8;
-    const recentCutoff = now - dedupWindowMs;
-    const hasRecentRecord = history.records.some(r => r.timestamp > recentCutoff);
+  // Upgrade stored or imported data to SCHEMA_VERSION; data that is current, newer or not a history is returned as is
+  _migrateHistory(data) {
+    const version = this._getSchemaVersion(data);
+    if (version === null) {
+      return data;
+    }
 
-    console.log('[ForecastValidation] _recordComparison:', {
-      forecast: this._currentForecast,
-      forecastLookahead: this._currentForecastLookahead,
-      actual: this._currentActual,
-      hasRecentRecord,
-      dedupWindowMs,
-      existingRecords: history.records.length,
-      storageKey: this._getStorageKey()
-    });
+    let history = data;
+    for (let target = version + 1; target <= SCHEMA_VERSION; target++) {
+      history = this[HISTORY_MIGRATIONS[target]](history);
+      history.schema_version = target;
+      console.info(`Migrated forecast history to schema version ${target}`);
+    }
+    return history;
+  }
 
-    if (!hasRecentRecord && this._currentForecast !== null && this._currentActual !== null) {
-      const delta = this._currentForecast - this._currentActual;
+  // v1.x held each forecast as an array or object and queued unverified ones in pending_forecasts.
+  // Records keep the first number found in their forecast; the queue expired long ago and is dropped.
+  _migrateHistoryToV2(history) {
+    const toNumber = (value) => {
+      if (typeof value === 'number') return value;
+      if (Array.isArray(value)) return toNumber(value[0]);
+      if (value && typeof value === 'object') return toNumber(value.temp ?? value.temperature ?? value.value ?? value.forecast);
+      const number = parseFloat(value);
+      return isNaN(number) ? null : number;
+    };
 
-      history.records.push({
-        timestamp: now,
-        forecast: this._currentForecast,
-        forecastLookahead: this._currentForecastLookahead, // for chart display
-        actual: this._currentActual,
-        delta: delta
-      });
-      console.log('[ForecastValidation] Added new record, total:', history.records.length);
-    } else {
-      console.log('[ForecastValidation] Skipped recording:', {
-        reason: hasRecentRecord ? 'recent record exists' : 'missing forecast/actual'
-      });
+    const migrated = { ...history };
+    delete migrated.pending_forecasts;
+    migrated.records = (Array.isArray(history.records) ? history.records : []).map(r => {
+      const forecast = toNumber(r?.forecast);
+      const actual = toNumber(r?.actual);
+      return { ...r, forecast, actual, delta: forecast - actual };
+    }).filter(r => typeof r.timestamp === 'number' && r.forecast !== null && r.actual !== null);
+
+    const dropped = (history.records?.length || 0) - migrated.records.length;
+    if (dropped > 0) {
+      console.info(`Forecast history migration: ${dropped} v1.x records without a readable forecast or actual were left out`);
     }
+    return migrated;
+  }
 
-    // Prune old data beyond history_days
-    const cutoffTime = now - (this.config.history_days * 24 * 60 * 60 * 1000);
-    history.records = history.records.filter(r => r.timestamp > cutoffTime);
-
-    history.last_updated = now;
-    this._saveHistory(history);
+  // 1.x cards kept one list of instantaneous comparisons. Adds the lists for lead-time, daily high/low
+  // and precipitation verification, and the actual method on each record.
+  _migrateHistoryToV3(history) {
+    const migrated = { ...history };
+    for (const list of ['records', 'pending_lookahead', 'lookahead_records', 'daily_records', 'precip_pending', 'precip_records']) {
+      migrated[list] = Array.isArray(history[list]) ? history[list] : [];
+    }
+    migrated.records = migrated.records.map(r => ({
+      ...r,
+      delta: typeof r.delta === 'number' ? r.delta : r.forecast - r.actual,
+      actual_method: r.actual_method || 'instant'
+    }));
+    migrated.last_updated = history.last_updated || 0;
+    return migrated;
   }
 
-  _calculateStatistics() {
-    const history = this._loadHistory();
-    const records = history.records;
+  // Adds the daily and monthly aggregate lists of tiered retention (see _compactHistory)
+  _migrateHistoryToV4(history) {
+    return {
+      ...history,
+      daily_aggregates: Array.isArray(history.daily_aggregates) ? history.daily_aggregates : [],
+      monthly_aggregates: Array.isArray(history.monthly_aggregates) ? history.monthly_aggregates : []
+    };
+  }
 
-    if (records.length === 0) {
-      this._statistics = {
-        mae: null,
-        bias: null,
-        trend: 'stable',
-        accuracy: null,
-        recordCount: 0,
-        recentRecords: []
-      };
+  // Store a copy of a history under `{key}-backup` in the same storage, once per page load, before it
+  // is migrated or replaced. Each key has one backup, replaced by the next one. Without room for it
+  // the backup is skipped, and a stored backup is removed when the history itself doesn't fit (see
+  // _writeHistory). Import restores it.
+  _backupHistory(key, stored, version) {
+    const backupKey = this._getBackupKey(key);
+    if (this._historyCache.has(backupKey)) {
       return;
     }
+    this._historyCache.set(backupKey, stored);
+    const storage = HISTORY_STORAGES[this._storage];
+    // Removed first so no rows of an older backup are left in IndexedDB
+    this._historyWrites = this._historyWrites
+      .then(() => this[storage.remove](backupKey))
+      .then(() => this[storage.save](backupKey, JSON.parse(stored)))
+      .then(() => console.info(`Forecast history backup (schema ${version ?? 'unknown'}) saved as ${backupKey}`))
+      .catch(e => {
+        this._historyCache.set(backupKey, null);
+        if (e?.name === 'QuotaExceededError') {
+          console.warn(`Forecast history storage is full, upgrading ${key} without a backup`);
+          return;
+        }
+        console.warn('Failed to save forecast history backup:', e);
+      });
+  }
 
-    // Calculate MAE (Mean Absolute Error)
-    const sumAbsError = records.reduce((sum, r) => sum + Math.abs(r.delta), 0);
-    const mae = sumAbsError / records.length;
+  _getBackupKey(key) {
+    return `${key}-backup`;
+  }
 
-    // Calculate bias (average signed delta)
-    // Positive = forecasts typically run high, Negative = run low
-    const sumDelta = records.reduce((sum, r) => sum + r.delta, 0);
-    const bias = sumDelta / records.length;
+  _emptyHistory() {
+    return {
+      schema_version: SCHEMA_VERSION,
+      records: [],
+      pending_lookahead: [],
+      lookahead_records: [],
+      daily_records: [],
+      precip_pending: [],
+      precip_records: [],
+      daily_aggregates: [],
+      monthly_aggregates: [],
+      last_updated: 0
+    };
+  }
 
-    // Calculate trend (compare recent 24h MAE vs previous 24h MAE)
-    const now = Date.now();
-    const oneDayAgo = now - 24 * 60 * 60 * 1000;
-    const twoDaysAgo = now - 48 * 60 * 60 * 1000;
+  // Fill in lookahead fields missing from histories saved by older versions
+  // and drop queued forecasts whose target hour passed without being verified
+  _preparePendingForecasts(history, verificationDelay = 0) {
+    history.records = history.records || [];
+    history.pending_lookahead = history.pending_lookahead || [];
+    history.lookahead_records = history.lookahead_records || [];
+    history.daily_records = history.daily_records || [];
+    history.precip_pending = history.precip_pending || [];
+    history.precip_records = history.precip_records || [];
+    history.daily_aggregates = history.daily_aggregates || [];
+    history.monthly_aggregates = history.monthly_aggregates || [];
+
+    const expiredCutoff = Date.now() - PENDING_MAX_LATE_MS - verificationDelay;
+    history.pending_lookahead = history.pending_lookahead.filter(p => p.valid_time > expiredCutoff);
+    history.precip_pending = history.precip_pending.filter(p => p.hour_start > Date.now() - PRECIPITATION_MAX_LATE_MS);
+    return history;
+  }
 
-    const recentRecords = records.filter(r => r.timestamp > oneDayAgo);
-    const previousRecords = records.filter(r => r.timestamp > twoDaysAgo && r.timestamp <= oneDayAgo);
+  _saveHistory(source, history) {
+    const key = this._getStorageKey(source);
+    this._cacheHistory(key, history);
+    this._historyWrites = this._historyWrites
+      .then(() => this._writeHistory(key, history))
+      .catch(e => console.warn('Failed to save forecast history:', e));
+    console.log('[ForecastValidation] _saveHistory:', { key, records: history.records?.length || 0 });
+  }
 
-    let trend = 'stable';
-    if (recentRecords.length >= 2 && previousRecords.length >= 2) {
-      const recentMAE = recentRecords.reduce((s, r) => s + Math.abs(r.delta), 0) / recentRecords.length;
-      const previousMAE = previousRecords.reduce((s, r) => s + Math.abs(r.delta), 0) / previousRecords.length;
+  // Cache a history as it will be stored, keeping the object so _loadHistory doesn't parse it again
+  _cacheHistory(key, history) {
+    const stored = JSON.stringify(history);
+    this._historyCache.set(key, stored);
+    this._parsedHistories.set(key, { stored, history });
+  }
 
-      const diff = recentMAE - previousMAE;
-      if (diff < -0.5) {
-        trend = 'improving';
-      } else if (diff > 0.5) {
-        trend = 'degrading';
+  // Write a history through the storage backend. When the storage is full, a backup of it saved by
+  // this page is removed first; if it still doesn't fit, the oldest quarter of the history is dropped
+  // and the write retried once.
+  async _writeHistory(key, history, retry = true) {
+    try {
+      await this[HISTORY_STORAGES[this._storage].save](key, history);
+    } catch (error) {
+      const backupKey = this._getBackupKey(key);
+      if (error?.name === 'QuotaExceededError' && this._historyCache.get(backupKey)) {
+        this._historyCache.set(backupKey, null);
+        await this[HISTORY_STORAGES[this._storage].remove](backupKey);
+        console.warn(`Forecast history storage is full: removed the backup ${backupKey} to save ${key}`);
+        await this._writeHistory(key, history, retry);
+        return;
       }
+      const cutoff = retry && error?.name === 'QuotaExceededError' ? this._trimHistory(history) : null;
+      if (cutoff === null) {
+        throw error;
+      }
+      console.warn(`Forecast history storage is full: dropped records before ${new Date(cutoff).toLocaleString()} (${key})`);
+      this._cacheHistory(key, history);
+      await this._writeHistory(key, history, false);
+    }
+  }
+
+  // Drop the oldest quarter of a history's time span; returns the cutoff, or null if it has no records
+  _trimHistory(history) {
+    const oldest = Object.entries(HISTORY_ROW_TYPES).reduce((min, [type, timeField]) =>
+      (history[type] || []).reduce((typeMin, entry) => Math.min(typeMin, entry[timeField]), min), Infinity);
+    if (oldest === Infinity) {
+      return null;
+    }
+    const cutoff = oldest + (Date.now() - oldest) / 4;
+    for (const [type, timeField] of Object.entries(HISTORY_ROW_TYPES)) {
+      history[type] = (history[type] || []).filter(r => r[timeField] > cutoff);
+    }
+    return cutoff;
+  }
+
+  // Read every source's history from the storage backend into the cache that _loadHistory reads.
+  // A failing backend other than localStorage is replaced by localStorage for the page lifetime.
+  async _syncHistoryStorage() {
+    const keys = this.config.sources.flatMap(source => source.legacyStorageSuffix === undefined
+      ? [this._getStorageKey(source)]
+      : [this._getStorageKey(source), this._getLegacyStorageKey(source)]);
+    await this._historyWrites;
+    try {
+      await this[HISTORY_STORAGES[this._storage].load](keys);
+    } catch (error) {
+      if (this._storage === 'local') {
+        throw error;
+      }
+      console.warn(`${HISTORY_STORAGES[this._storage].name} storage unavailable, using localStorage:`, error);
+      this._storage = 'local';
+      this._historyWriter = true;
+      // Histories already read from the failed backend are newer than the localStorage copies
+      await this._loadLocalHistories(keys.filter(key => !this._historyCache.get(key)));
+    }
+    this._moveLegacyHistories();
+  }
+
+  // Move a history from the key it had before source lists (see _getStorageSuffixes) to its source's
+  // own key, once. The old key keeps only a note of where it went, so no other source picks it up.
+  _moveLegacyHistories() {
+    for (const source of this.config.sources.filter(s => s.legacyStorageSuffix !== undefined)) {
+      const key = this._getStorageKey(source);
+      const legacyKey = this._getLegacyStorageKey(source);
+      const stored = this._historyCache.get(legacyKey);
+      if (!stored || this._historyCache.get(key) || stored.includes('"moved_to"')) {
+        continue;
+      }
+
+      this._historyCache.set(key, stored);
+      this._historyCache.set(legacyKey, JSON.stringify({ moved_to: key }));
+      this._historyWrites = this._historyWrites
+        .then(() => this._writeHistory(key, JSON.parse(stored)))
+        .then(() => this._writeHistory(legacyKey, { moved_to: key }))
+        .then(() => console.info(`Moved forecast history ${legacyKey} to ${key}`))
+        .catch(e => console.warn('Failed to move forecast history:', e));
+    }
+  }
+
+  async _loadLocalHistories(keys) {
+    for (const key of keys) {
+      this._historyCache.set(key, localStorage.getItem(key));
+    }
+  }
+
+  _saveLocalHistory(key, history) {
+    localStorage.setItem(key, JSON.stringify(history));
+  }
+
+  _removeLocalHistory(key) {
+    localStorage.removeItem(key);
+  }
+
+  // Histories stored with the Home Assistant user's frontend data, shared by all their browsers.
+  // Only the browser holding the writer lease saves; the others show what it stored.
+  async _loadHomeAssistantHistories(keys) {
+    this._historyWriter = await this._claimWriterLease();
+    for (const key of keys) {
+      const { value } = await this.hass.callWS({ type: 'frontend/get_user_data', key });
+      // Nothing shared yet: start from this browser's own history
+      this._historyCache.set(key, value ? JSON.stringify(value) : localStorage.getItem(key));
+    }
+  }
+
+  async _saveHomeAssistantHistory(key, history) {
+    if (!this._historyWriter) {
+      return;
+    }
+    await this.hass.callWS({ type: 'frontend/set_user_data', key, value: history });
+  }
+
+  async _removeHomeAssistantHistory(key) {
+    if (!this._historyWriter) {
+      return;
+    }
+    await this.hass.callWS({ type: 'frontend/set_user_data', key, value: null });
+  }
+
+  // Histories in IndexedDB are read again before every update, so records written by other tabs
+  // are kept (saves only touch rows this page read or added). A history found only in localStorage
+  // is copied into IndexedDB; the localStorage copy stays as the fallback if IndexedDB fails later.
+  async _loadIndexedDbHistories(keys) {
+    const db = await openHistoryDb();
+    for (const key of keys) {
+      const transaction = db.transaction(['histories', 'records'], 'readonly');
+      const range = IDBKeyRange.bound([key, -Infinity], [key, Infinity]);
+      const [meta, rows] = await Promise.all([
+        idbRequest(transaction.objectStore('histories').get(key)),
+        idbRequest(transaction.objectStore('records').index('source_time').getAll(range))
+      ]);
+
+      if (!meta) {
+        const stored = localStorage.getItem(key);
+        this._historyCache.set(key, stored);
+        if (stored) {
+          await this._saveIndexedDbHistory(key, JSON.parse(stored));
+          console.info(`Copied forecast history ${key} from localStorage to IndexedDB`);
+        }
+        continue;
+      }
+
+      const history = { ...meta };
+      delete history.key;
+      const saved = new Map();
+      for (const type of Object.keys(HISTORY_ROW_TYPES)) {
+        history[type] = [];
+      }
+      for (const row of rows) {
+        history[row.type].push(row.record);
+        saved.set(row.id, JSON.stringify(row.record));
+      }
+      this._indexedDbRows.set(key, saved);
+      this._historyCache.set(key, JSON.stringify(history));
+    }
+  }
+
+  // Write only the rows that changed since the last save, and delete pruned ones
+  async _saveIndexedDbHistory(key, history) {
+    const db = await openHistoryDb();
+    const saved = this._indexedDbRows.get(key) || new Map();
+    const written = new Map();
+
+    const transaction = db.transaction(['histories', 'records'], 'readwrite');
+    const done = idbTransactionDone(transaction);
+    const store = transaction.objectStore('records');
+    for (const [type, timeField] of Object.entries(HISTORY_ROW_TYPES)) {
+      for (const record of history[type] || []) {
+        const timestamp = record[timeField];
+        // Entries can share a time (and lead time), so repeats are numbered to keep each row
+        const base = `${type}:${timestamp}${record.lead !== undefined ? `:${record.lead}` : ''}`;
+        let id = base;
+        for (let repeat = 1; written.has(id); repeat++) {
+          id = `${base}#${repeat}`;
+        }
+        const json = JSON.stringify(record);
+        written.set(id, json);
+        if (saved.get(id) !== json) {
+          store.put({ key, id, type, timestamp, record });
+        }
+      }
+    }
+    for (const id of saved.keys()) {
+      if (!written.has(id)) {
+        store.delete([key, id]);
+      }
+    }
+
+    const meta = Object.fromEntries(Object.entries(history).filter(([field]) => !HISTORY_ROW_TYPES[field]));
+    transaction.objectStore('histories').put({ ...meta, key });
+    await done;
+    this._indexedDbRows.set(key, written);
+  }
+
+  async _removeIndexedDbHistory(key) {
+    const db = await openHistoryDb();
+    const transaction = db.transaction(['histories', 'records'], 'readwrite');
+    const done = idbTransactionDone(transaction);
+    transaction.objectStore('histories').delete(key);
+    transaction.objectStore('records').delete(IDBKeyRange.bound([key, ''], [key, '\uffff']));
+    await done;
+    this._indexedDbRows.delete(key);
+  }
+
+  // Take or renew the writer lease, stored next to the sensor's histories. A lease that hasn't been
+  // renewed for WRITER_LEASE_INTERVALS refresh intervals (browser closed) can be taken over.
+  async _claimWriterLease() {
+    const key = `${STORAGE_KEY_PREFIX}${this.config.temperature_sensor.replace(/\./g, '_')}-writer`;
+    const browser = this._getBrowserId();
+    const now = Date.now();
+
+    const { value: lease } = await this.hass.callWS({ type: 'frontend/get_user_data', key });
+    if (lease && lease.browser !== browser && lease.expires > now) {
+      return false;
+    }
+
+    const expires = now + WRITER_LEASE_INTERVALS * this.config.refresh_interval * 60 * 1000;
+    await this.hass.callWS({ type: 'frontend/set_user_data', key, value: { browser, expires } });
+
+    // Two browsers can claim an expired lease at once; the last write wins
+    const { value: claimed } = await this.hass.callWS({ type: 'frontend/get_user_data', key });
+    return claimed?.browser === browser;
+  }
+
+  _getBrowserId() {
+    let id = localStorage.getItem(BROWSER_ID_KEY);
+    if (!id) {
+      id = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+      localStorage.setItem(BROWSER_ID_KEY, id);
+    }
+    return id;
+  }
+
+  // Download a source's history: CSV has the hourly comparisons and verified lookahead forecasts
+  // for spreadsheets, JSON the whole stored history (for backups and moving to another browser)
+  _exportHistory(source, format) {
+    const history = this._loadHistory(source);
+    const unit = this._getDisplayUnit();
+    let content;
+
+    if (format === 'csv') {
+      const cell = (record, column) => {
+        if (column.startsWith('condition_')) {
+          return record.conditions?.[column.slice('condition_'.length)] ?? '';
+        }
+        switch (column) {
+          case 'time': return new Date(record.timestamp).toISOString();
+          case 'unit': return record.probability === undefined ? unit : '';
+          case 'backfilled': return record.backfilled ? 1 : '';
+          case 'qc': return (record.qc || []).join(';');
+          case 'forecast_lookahead': return record.forecastLookahead ?? '';
+          default: return record[column] ?? '';
+        }
+      };
+      // RFC 4180: fields holding a comma, quote or line break are quoted, with quotes doubled
+      const quote = (value) => /[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value;
+      const rows = [...history.records, ...history.lookahead_records, ...history.precip_records]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(record => CSV_COLUMNS.map(column => quote(cell(record, column))).join(','));
+      content = [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+    } else {
+      content = JSON.stringify({
+        source: source.id,
+        label: this._getSourceLabel(source),
+        variable: this.config.variable,
+        unit,
+        exported: new Date().toISOString(),
+        history
+      }, null, 2);
+    }
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' }));
+    link.download = `${this._getStorageKey(source)}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  // Merge an exported CSV or JSON file (or a history copied from localStorage) into a source's history
+  async _importHistory(source, file) {
+    try {
+      if (!this._historyWriter) {
+        throw new Error('another browser records the shared history, import it there');
+      }
+      const text = await file.text();
+      const imported = file.name.toLowerCase().endsWith('.csv')
+        ? this._parseHistoryCsv(text)
+        : this._parseHistoryJson(text);
+      const added = this._mergeHistory(source, imported);
+      this._calculateStatistics();
+      this._refreshPendingDue();
+      this._dataMessage = `Imported ${added} new record${added === 1 ? '' : 's'} into ${this._getSourceLabel(source)}`;
+    } catch (error) {
+      console.warn('Forecast history import failed:', error);
+      this._dataMessage = `Import failed: ${error.message}`;
+    }
+  }
+
+  _parseHistoryJson(text) {
+    const data = JSON.parse(text);
+    const history = this._migrateHistory(data?.history ?? data);
+    if (data?.unit && data.unit !== this._getDisplayUnit()) {
+      throw new Error(`exported in ${data.unit}, the card shows ${this._getDisplayUnit()}`);
+    }
+    const problem = this._validateHistory(history);
+    if (problem) {
+      throw new Error(`not a forecast history: ${problem}`);
+    }
+    return history;
+  }
+
+  _parseHistoryCsv(text) {
+    const [header = [], ...lines] = this._parseCsvRows(text);
+    const columns = header.map(column => column.trim());
+    const required = ['forecast', 'actual', ...(columns.includes('time') ? [] : ['timestamp'])];
+    const missing = required.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`CSV is missing the ${missing.join(', ')} column${missing.length > 1 ? 's' : ''}`);
+    }
+
+    const number = (value) => value === undefined || value === '' ? null : Number(value);
+    // Condition values are numbers or true/false (precipitation, is_day)
+    const conditionValue = (value) => value === '' ? null : ['true', 'false'].includes(value) ? value === 'true' : Number(value);
+    const conditionColumns = columns.filter(column => column.startsWith('condition_'));
+    const history = { schema_version: SCHEMA_VERSION, records: [], lookahead_records: [], precip_records: [] };
+    for (const values of lines) {
+      const row = Object.fromEntries(columns.map((column, index) => [column, values[index]?.trim() ?? '']));
+      if (row.unit && row.unit !== this._getDisplayUnit()) {
+        throw new Error(`exported in ${row.unit}, the card shows ${this._getDisplayUnit()}`);
+      }
+
+      const timestamp = number(row.timestamp) ?? Date.parse(row.time);
+      if (row.probability && !row.forecast) {
+        history.precip_records.push({
+          timestamp,
+          issued: number(row.issued) ?? timestamp,
+          verified: number(row.verified) ?? timestamp,
+          probability: number(row.probability),
+          observed: number(row.observed)
+        });
+        continue;
+      }
+
+      const forecast = number(row.forecast);
+      const actual = number(row.actual);
+      const lead = number(row.lead);
+      const conditions = conditionColumns.some(column => row[column])
+        ? Object.fromEntries(conditionColumns.map(column => [column.slice('condition_'.length), conditionValue(row[column])]))
+        : null;
+      const record = {
+        timestamp,
+        forecast,
+        ...(number(row.forecast_lookahead) !== null ? { forecastLookahead: number(row.forecast_lookahead) } : {}),
+        actual,
+        delta: number(row.delta) ?? forecast - actual,
+        ...(row.actual_method ? { actual_method: row.actual_method } : {}),
+        ...(row.actual_window ? { actual_window: number(row.actual_window) } : {}),
+        ...(row.backfilled === '1' ? { backfilled: true } : {}),
+        ...(conditions ? { conditions } : {}),
+        ...(row.qc ? { qc: row.qc.split(';') } : {})
+      };
+      if (lead === null) {
+        history.records.push(record);
+      } else {
+        history.lookahead_records.push({
+          ...record,
+          issued: number(row.issued) ?? timestamp - lead * 3600 * 1000,
+          verified: number(row.verified) ?? timestamp,
+          lead
+        });
+      }
+    }
+
+    const problem = this._validateHistory(history);
+    if (problem) {
+      throw new Error(`CSV ${problem}`);
+    }
+    return history;
+  }
+
+  // Rows of CSV text as lists of fields. Quoted fields (RFC 4180) can hold commas, line breaks and
+  // doubled quotes; blank lines are skipped.
+  _parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        rows.push([...row, field]);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    rows.push([...row, field]);
+    return rows.filter(fields => fields.some(value => value.trim()));
+  }
+
+  // Add imported entries that aren't stored yet: duplicates have the same time (and lead time),
+  // and the stored copy is kept. Entries older than history_days are skipped. Returns the count added.
+  _mergeHistory(source, imported) {
+    const history = this._loadHistory(source);
+    const cutoff = Date.now() - this.config.history_days * 24 * 60 * 60 * 1000;
+    let added = 0;
+
+    for (const [type, timeField] of Object.entries(HISTORY_ROW_TYPES)) {
+      const entryId = (entry) => `${entry[timeField]}:${entry.lead ?? ''}`;
+      const stored = new Set(history[type].map(entryId));
+      const fresh = (imported[type] || []).filter(entry => {
+        const id = entryId(entry);
+        if (!(entry[timeField] > cutoff) || stored.has(id)) {
+          return false;
+        }
+        stored.add(id);
+        return true;
+      });
+      history[type] = [...history[type], ...fresh].sort((a, b) => a[timeField] - b[timeField]);
+      added += fresh.length;
+    }
+
+    this._saveHistory(source, history);
+    return added;
+  }
+
+  // Fill the history window from the recorder and archived forecasts, so a new install (or
+  // browser) has statistics right away instead of waiting hours for live comparisons
+  async _backfillHistory() {
+    const now = Date.now();
+    const windowStart = now - (this.config.history_days * 24 * 60 * 60 * 1000);
+
+    // Backfill up to the oldest live record of each source that has an archive
+    const gaps = new Map();
+    for (const source of this.config.sources) {
+      if (!FORECAST_SOURCES[source.type].backfill) continue;
+
+      const records = this._loadHistory(source).records;
+      const oldest = records.length > 0 ? Math.min(...records.map(r => r.timestamp)) : now;
+      if (oldest - windowStart > 2 * 60 * 60 * 1000) {
+        gaps.set(source.id, oldest);
+      }
+    }
+    if (gaps.size === 0) {
+      return;
+    }
+
+    let actuals;
+    try {
+      const margin = this._isWindowedActual() ? this._getMaxActualWindow() * 60 * 1000 : 0;
+      actuals = await this._fetchSensorHistory(windowStart - margin, Math.max(...gaps.values()));
+    } catch (error) {
+      console.warn('Recorder history error, skipping backfill:', error);
+      return;
+    }
+    if (actuals.length === 0) {
+      return;
+    }
+
+    let added = 0;
+    for (const source of this.config.sources) {
+      if (!gaps.has(source.id)) continue;
+
+      try {
+        const forecasts = await this[FORECAST_SOURCES[source.type].backfill](source, windowStart, gaps.get(source.id));
+        added += this._mergeBackfill(source, forecasts, actuals, windowStart, gaps.get(source.id));
+      } catch (error) {
+        console.warn(`${this._getSourceLabel(source)} backfill error:`, error);
+      }
+    }
+
+    console.log('[ForecastValidation] Backfilled records:', added);
+    if (added > 0) {
+      this._calculateStatistics();
+    }
+  }
+
+  // Sensor states from the recorder as [{timestamp, value}] in the display unit (value null while unavailable)
+  async _fetchSensorHistory(start, end) {
+    const sensor = this.config.temperature_sensor;
+    const states = await this._fetchEntityHistory(sensor, start, end);
+
+    // Recorder states have no attributes here, so use the sensor's current unit
+    const unit = this.hass.states[sensor]?.attributes.unit_of_measurement;
+
+    return states.map(({ timestamp, state }) => {
+      const value = parseFloat(state);
+      return { timestamp, value: isNaN(value) ? null : this._normalizeValue(value, unit) };
+    });
+  }
+
+  // Raw recorder states of an entity as [{timestamp, state}], including the state in effect at start
+  async _fetchEntityHistory(entityId, start, end) {
+    const result = await this.hass.callWS({
+      type: 'history/history_during_period',
+      start_time: new Date(start).toISOString(),
+      end_time: new Date(end).toISOString(),
+      entity_ids: [entityId],
+      minimal_response: true,
+      no_attributes: true,
+      significant_changes_only: false
+    });
+
+    return (result?.[entityId] || [])
+      .map(state => {
+        // Compressed states: s = state, lu/lc = last updated/changed in unix seconds
+        const time = state.lu ?? state.lc;
+        return {
+          timestamp: time !== undefined ? time * 1000 : new Date(state.last_updated || state.last_changed).getTime(),
+          state: state.s ?? state.state
+        };
+      })
+      .filter(state => !isNaN(state.timestamp))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Sensor value in effect at a timestamp (the last state at or before it)
+  _getStateAt(states, timestamp) {
+    let value = null;
+    for (const state of states) {
+      if (state.timestamp > timestamp) break;
+      value = state.value;
+    }
+    return value;
+  }
+
+  // Pair archived forecasts with recorder states and add them to stored history, marked backfilled.
+  // Hours that already have a record are left alone. Returns the number of records added.
+  _mergeBackfill(source, forecasts, actuals, start, end) {
+    const history = this._loadHistory(source);
+    const halfHour = 30 * 60 * 1000;
+    let added = 0;
+
+    for (const [leadKey, hourly] of Object.entries(forecasts)) {
+      const lead = Number(leadKey);
+      const existing = lead === 0 ? history.records : history.lookahead_records.filter(r => r.lead === lead);
+
+      for (const entry of hourly) {
+        if (entry.timestamp <= start || entry.timestamp >= end) continue;
+        if (existing.some(r => Math.abs(r.timestamp - entry.timestamp) < halfHour)) continue;
+
+        const actual = this._isWindowedActual()
+          ? this._aggregateStates(actuals, ...this._getActualWindowRange(source, entry.timestamp, Date.now()))
+          : this._getStateAt(actuals, entry.timestamp);
+        if (actual === null) continue;
+        const method = this._describeActualMethod(source, this._isWindowedActual());
+
+        const delta = entry.temp - actual;
+        if (lead === 0) {
+          history.records.push({
+            timestamp: entry.timestamp,
+            forecast: entry.temp,
+            forecastLookahead: null,
+            actual,
+            delta,
+            ...method,
+            backfilled: true
+          });
+        } else {
+          history.lookahead_records.push({
+            timestamp: entry.timestamp,
+            issued: entry.timestamp - (lead * 3600 * 1000),
+            verified: entry.timestamp,
+            lead,
+            forecast: entry.temp,
+            actual,
+            delta,
+            ...method,
+            backfilled: true
+          });
+        }
+        added++;
+      }
+    }
+
+    if (added > 0) {
+      history.records.sort((a, b) => a.timestamp - b.timestamp);
+      history.lookahead_records.sort((a, b) => a.timestamp - b.timestamp);
+      this._saveHistory(source, history);
+    }
+    return added;
+  }
+
+  _isWindowedActual() {
+    return this.config.actual_method !== 'instant';
+  }
+
+  // Window (minutes) matching how the source defines its forecast value
+  _getActualWindow(source) {
+    return this.config.actual_window || FORECAST_SOURCES[source.type].actualWindow || 60;
+  }
+
+  _getMaxActualWindow() {
+    return Math.max(...this.config.sources.map(source => this._getActualWindow(source)));
+  }
+
+  // Windowed actuals are centered on the valid time, so scoring waits until the window has closed
+  _getVerificationDelay(source) {
+    return this._isWindowedActual() ? this._getActualWindow(source) * 60 * 1000 / 2 : 0;
+  }
+
+  // [start, end] of the averaging window for a valid time; a window that would reach
+  // past now (live comparisons) becomes the latest full window instead
+  _getActualWindowRange(source, validTime, now) {
+    const windowMs = this._getActualWindow(source) * 60 * 1000;
+    const end = validTime + windowMs / 2;
+    return end > now ? [now - windowMs, now] : [validTime - windowMs / 2, end];
+  }
+
+  // Fields stored with each record so mixed histories stay interpretable
+  _describeActualMethod(source, windowed) {
+    return windowed
+      ? { actual_method: this.config.actual_method, actual_window: this._getActualWindow(source) }
+      : { actual_method: 'instant' };
+  }
+
+  // Recent recorder states for windowed actuals, or null for instant readings (or when the recorder fails)
+  async _fetchRecentStates() {
+    if (!this._isWindowedActual()) {
+      return null;
+    }
+
+    const now = Date.now();
+    // Long enough for the widest window of a pending forecast that is about to expire
+    const lookback = (this._getMaxActualWindow() * 60 * 1000) + PENDING_MAX_LATE_MS;
+    try {
+      return await this._fetchSensorHistory(now - lookback, now);
+    } catch (error) {
+      console.warn('Recorder history error, using the instantaneous sensor value:', error);
+      return null;
+    }
+  }
+
+  // Time-weighted mean, or median/min/max, of the sensor states covering [start, end]; null without data
+  _aggregateStates(states, start, end, method = this.config.actual_method) {
+    const segments = [];
+    let current = this._getStateAt(states, start);
+    let segmentStart = start;
+
+    for (const state of states) {
+      if (state.timestamp <= start) continue;
+      if (state.timestamp > end) break;
+      segments.push({ value: current, duration: state.timestamp - segmentStart });
+      current = state.value;
+      segmentStart = state.timestamp;
+    }
+    segments.push({ value: current, duration: end - segmentStart });
+
+    // Unavailable periods don't count
+    const valid = segments.filter(s => s.value !== null && s.duration >= 0);
+    if (valid.length === 0) {
+      return null;
+    }
+
+    const values = valid.map(s => s.value);
+    if (method === 'min') return Math.min(...values);
+    if (method === 'max') return Math.max(...values);
+    if (method === 'median') {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    const totalDuration = valid.reduce((sum, s) => sum + s.duration, 0);
+    return totalDuration > 0
+      ? valid.reduce((sum, s) => sum + s.value * s.duration, 0) / totalDuration
+      : values[values.length - 1];
+  }
+
+  // Actual for a valid time: the configured aggregate when recorder states are available,
+  // otherwise the current sensor state. Returns the value plus the fields recorded with it.
+  _getActual(source, states, validTime, now) {
+    if (states) {
+      const value = this._aggregateStates(states, ...this._getActualWindowRange(source, validTime, now));
+      if (value !== null) {
+        return { value, method: this._describeActualMethod(source, true) };
+      }
+    }
+    return this._currentActual === null ? null : { value: this._currentActual, method: this._describeActualMethod(source, false) };
+  }
+
+  _recordComparison(source, forecast, states = null, currentForecasts = []) {
+    const history = this._loadHistory(source);
+    const now = Date.now();
+    const actual = this._getActual(source, states, now, now);
+
+    // Avoid duplicate records within 80% of refresh interval (prevents double-recording on page refresh)
+    const dedupWindowMs = this.config.refresh_interval * 60 * 1000 * 0.8;
+    const recentCutoff = now - dedupWindowMs;
+    const hasRecentRecord = history.records.some(r => r.timestamp > recentCutoff);
+
+    console.log('[ForecastValidation] _recordComparison:', {
+      source: source.id,
+      forecast: forecast.current,
+      forecastLookahead: forecast.lookahead,
+      actual: actual?.value ?? null,
+      hasRecentRecord,
+      dedupWindowMs,
+      existingRecords: history.records.length,
+      storageKey: this._getStorageKey(source)
+    });
+
+    if (!hasRecentRecord && forecast.current !== null && actual !== null) {
+      const delta = forecast.current - actual.value;
+
+      const conditions = this._getConditions(forecast.conditions);
+      const qc = this._checkQuality(actual.value, history.records, currentForecasts, now);
+      history.records.push({
+        timestamp: now,
+        forecast: forecast.current,
+        forecastLookahead: forecast.lookahead, // for chart display
+        actual: actual.value,
+        delta: delta,
+        ...actual.method,
+        ...(conditions ? { conditions } : {}),
+        ...(qc.length > 0 ? { qc } : {})
+      });
+      if (qc.length > 0) {
+        console.warn(`${this._getSourceLabel(source)}: reading ${actual.value} failed quality checks (${qc.join(', ')}), excluded from statistics`);
+      }
+      console.log('[ForecastValidation] Added new record, total:', history.records.length);
+    } else {
+      console.log('[ForecastValidation] Skipped recording:', {
+        reason: hasRecentRecord ? 'recent record exists' : 'missing forecast/actual'
+      });
+    }
+
+    this._queuePendingForecasts(history, forecast.hourly, now);
+    this._verifyPendingForecasts(source, history, now, states);
+    if (this.config.daily_issue_hour !== null) {
+      this._captureDailyForecast(history, forecast.hourly, now);
+    }
+    if (this.config.precipitation_sensor) {
+      this._queuePrecipitationForecast(history, forecast.precipitation, now);
+    }
+
+    // Prune old data beyond history_days
+    const cutoffTime = now - (this.config.history_days * 24 * 60 * 60 * 1000);
+    history.records = history.records.filter(r => r.timestamp > cutoffTime);
+    history.lookahead_records = history.lookahead_records.filter(r => r.timestamp > cutoffTime);
+    history.daily_records = history.daily_records.filter(r => r.period_end > cutoffTime);
+    history.precip_records = history.precip_records.filter(r => r.timestamp > cutoffTime);
+    history.daily_aggregates = history.daily_aggregates.filter(a => a.period_end > cutoffTime);
+    history.monthly_aggregates = history.monthly_aggregates.filter(a => a.period_end > cutoffTime);
+    this._compactHistory(history, now);
+
+    history.last_updated = now;
+    this._saveHistory(source, history);
+  }
+
+  // Tiered retention: records and verified lookahead forecasts older than raw_days are summed into
+  // one aggregate per local day and lead time (0 = hourly comparison), and daily aggregates older
+  // than daily_days into one per local month. Parts of a period compacted later are merged into its
+  // aggregate. Readings rejected by the quality checks are dropped.
+  _compactHistory(history, now) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const rawCutoff = now - this.config.raw_days * dayMs;
+    const dailyCutoff = now - this.config.daily_days * dayMs;
+
+    const old = [
+      ...history.records.filter(r => r.timestamp <= rawCutoff).map(r => ({ ...r, lead: 0 })),
+      ...history.lookahead_records.filter(r => r.timestamp <= rawCutoff)
+    ];
+    if (old.length > 0) {
+      history.records = history.records.filter(r => r.timestamp > rawCutoff);
+      history.lookahead_records = history.lookahead_records.filter(r => r.timestamp > rawCutoff);
+      for (const r of old.filter(r => !r.qc)) {
+        const start = new Date(r.timestamp);
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+        this._mergeAggregate(history.daily_aggregates, start.getTime(), end.getTime(), r.lead, {
+          count: 1,
+          sum_error: r.delta,
+          sum_abs_error: Math.abs(r.delta),
+          sum_sq_error: r.delta * r.delta,
+          min_error: r.delta,
+          min_time: r.timestamp,
+          max_error: r.delta,
+          max_time: r.timestamp,
+          error_bins: { [this._getErrorBin(r.delta)]: 1 }
+        });
+      }
+    }
+
+    const oldDays = history.daily_aggregates.filter(a => a.period_end <= dailyCutoff);
+    if (oldDays.length > 0) {
+      history.daily_aggregates = history.daily_aggregates.filter(a => a.period_end > dailyCutoff);
+      for (const day of oldDays) {
+        const start = new Date(day.period_start);
+        this._mergeAggregate(history.monthly_aggregates,
+          new Date(start.getFullYear(), start.getMonth(), 1).getTime(),
+          new Date(start.getFullYear(), start.getMonth() + 1, 1).getTime(),
+          day.lead, day);
+      }
+    }
+  }
+
+  // Add error sums to the aggregate of a period and lead time, creating it if needed
+  _mergeAggregate(aggregates, periodStart, periodEnd, lead, part) {
+    let aggregate = aggregates.find(a => a.period_start === periodStart && a.lead === lead);
+    if (!aggregate) {
+      aggregate = {
+        period_start: periodStart,
+        period_end: periodEnd,
+        lead,
+        count: 0,
+        sum_error: 0,
+        sum_abs_error: 0,
+        sum_sq_error: 0,
+        min_error: null,
+        min_time: null,
+        max_error: null,
+        max_time: null,
+        error_bins: {} // absolute error histogram, see _getErrorBin
+      };
+      aggregates.push(aggregate);
+      aggregates.sort((a, b) => a.period_start - b.period_start);
+    }
+
+    aggregate.count += part.count;
+    aggregate.sum_error += part.sum_error;
+    aggregate.sum_abs_error += part.sum_abs_error;
+    aggregate.sum_sq_error += part.sum_sq_error;
+    for (const [bin, count] of Object.entries(part.error_bins || {})) {
+      aggregate.error_bins[bin] = (aggregate.error_bins[bin] || 0) + count;
+    }
+    if (part.accurate) {
+      // Aggregates without a histogram (older or imported) only carry their accurate count
+      aggregate.accurate = (aggregate.accurate || 0) + part.accurate;
+    }
+    if (aggregate.min_error === null || part.min_error < aggregate.min_error) {
+      aggregate.min_error = part.min_error;
+      aggregate.min_time = part.min_time;
+    }
+    if (aggregate.max_error === null || part.max_error > aggregate.max_error) {
+      aggregate.max_error = part.max_error;
+      aggregate.max_time = part.max_time;
+    }
+  }
+
+  // Histogram bin of an error in aggregates: bin k counts absolute errors above (k - 1) / 10 and up to
+  // k / 10 display units, so accuracy can be counted for any accuracy threshold (a multiple of 0.1)
+  _getErrorBin(delta) {
+    return Math.ceil(Math.round(Math.abs(delta) * 1000) / 100);
+  }
+
+  // Quality-check flags for an actual reading (keys of QC_FLAGS), empty when it passes. The rate check
+  // compares with the latest unflagged record, the deviation check needs at least two forecasts.
+  _checkQuality(value, records, currentForecasts, now) {
+    if (!this.config.quality_checks) {
+      return [];
+    }
+
+    const limits = this._getVariable().qc;
+    const baseUnit = this._getBaseUnit();
+    const flags = [];
+
+    const sensorState = this.hass.states[this.config.temperature_sensor];
+    const updated = new Date(sensorState?.last_reported || sensorState?.last_updated || 0).getTime();
+    if (updated > 0 && now - updated > this.config.max_sensor_age * 60 * 1000) {
+      flags.push('stale');
+    }
+
+    const base = this._toBaseUnit(this._getVariable().kind, value, this._getDisplayUnit());
+    if (base < limits.min || base > limits.max) {
+      flags.push('range');
+    }
+
+    const previous = records.filter(r => !r.qc && r.timestamp < now).at(-1);
+    if (previous && now - previous.timestamp <= QC_RATE_WINDOW_MS) {
+      const hours = Math.max((now - previous.timestamp) / 3600000, 1);
+      if (Math.abs(value - previous.actual) / hours > this._convertDifference(limits.rate, baseUnit)) {
+        flags.push('rate');
+      }
+    }
+
+    const deviation = this._convertDifference(limits.deviation, baseUnit);
+    if (currentForecasts.length >= 2 && currentForecasts.every(f => Math.abs(f - value) > deviation)) {
+      flags.push('deviation');
+    }
+
+    return flags;
+  }
+
+  // Weather conditions to store with a record: the source's, with day/night from sun.sun and the
+  // temperature from the sensor when they are available
+  _getConditions(sourceConditions) {
+    if (!sourceConditions) {
+      return null;
+    }
+
+    const conditions = { ...sourceConditions };
+    const sun = this.hass.states['sun.sun']?.state;
+    if (sun === 'above_horizon' || sun === 'below_horizon') {
+      conditions.is_day = sun === 'above_horizon';
+    }
+    if (this.config.variable === 'temperature' && this._currentActual !== null) {
+      conditions.temperature = this._toBaseUnit('temperature', this._currentActual, this._getDisplayUnit());
+    }
+    return conditions;
+  }
+
+  // Queue the forecast for each verified lead time so it can be scored once its target hour arrives
+  _queuePendingForecasts(history, hourlyForecast, now) {
+    for (const lead of this._getVerifiedLeadTimes()) {
+      const targetTimestamp = now + (lead * 3600 * 1000);
+      const nearest = this._findNearestHourly(hourlyForecast, targetTimestamp);
+
+      // Skip lead times the forecast doesn't reach (nearest hour must be within 30 minutes)
+      if (!nearest || Math.abs(nearest.timestamp - targetTimestamp) > 30 * 60 * 1000 || nearest.timestamp <= now) {
+        continue;
+      }
+
+      // One forecast per target hour and lead time (shorter refresh intervals would queue duplicates)
+      if (history.pending_lookahead.some(p => p.valid_time === nearest.timestamp && p.lead === lead)) {
+        continue;
+      }
+
+      history.pending_lookahead.push({
+        issued: now,
+        valid_time: nearest.timestamp,
+        lead: lead,
+        forecast: nearest.temp
+      });
+    }
+  }
+
+  // Score queued forecasts whose target hour has arrived against the current sensor reading.
+  // Forecasts more than PENDING_MAX_LATE_MS past their target hour are dropped unscored.
+  _verifyPendingForecasts(source, history, now, states = null) {
+    const delay = this._getVerificationDelay(source);
+    let changed = false;
+
+    history.pending_lookahead = history.pending_lookahead.filter(p => {
+      if (p.valid_time + delay > now) {
+        return true;
+      }
+      if (now - p.valid_time - delay > PENDING_MAX_LATE_MS) {
+        changed = true;
+        return false;
+      }
+      const actual = this._getActual(source, states, p.valid_time, now);
+      if (actual === null) {
+        return true;
+      }
+
+      // Only the range and staleness checks apply: there is no earlier reading or other forecast at hand
+      const qc = this._checkQuality(actual.value, [], [], now);
+      history.lookahead_records.push({
+        timestamp: p.valid_time,
+        issued: p.issued,
+        verified: now,
+        lead: p.lead,
+        forecast: p.forecast,
+        actual: actual.value,
+        delta: p.forecast - actual.value,
+        ...actual.method,
+        ...(qc.length > 0 ? { qc } : {})
+      });
+      changed = true;
+      return false;
+    });
+
+    return changed;
+  }
+
+  // Verify due lookahead forecasts between fetches (called on sensor updates)
+  async _verifyDueForecasts() {
+    // Sensor updates keep arriving while the recorder is queried; verify once
+    if (this._verifying) {
+      return;
+    }
+    this._verifying = true;
+
+    try {
+      await this._syncHistoryStorage();
+      const states = await this._fetchRecentStates();
+      const now = Date.now();
+      let verified = false;
+
+      for (const source of this.config.sources) {
+        const history = this._loadHistory(source);
+        if (this._verifyPendingForecasts(source, history, now, states)) {
+          this._saveHistory(source, history);
+          verified = true;
+        }
+      }
+
+      if (verified) {
+        this._calculateStatistics();
+      }
+      this._refreshPendingDue();
+    } finally {
+      this._verifying = false;
+    }
+  }
+
+  // Daily period for the day of a timestamp: the issue hour until local midnight
+  _getDailyPeriod(timestamp) {
+    const start = new Date(timestamp);
+    start.setHours(this.config.daily_issue_hour, 0, 0, 0);
+    const end = new Date(start);
+    end.setHours(24, 0, 0, 0);
+    return { date: this._getDayKey(timestamp), start: start.getTime(), end: end.getTime() };
+  }
+
+  // Capture today's forecast high/low once, on the first refresh after the issue hour.
+  // The forecast and the observation both cover period_start until midnight: the issue hour, or the
+  // first hour the forecast still has when it is captured later (hours already past are dropped).
+  _captureDailyForecast(history, hourlyForecast, now) {
+    const period = this._getDailyPeriod(now);
+    if (now < period.start || now - period.start > DAILY_CAPTURE_WINDOW_MS) {
+      return;
+    }
+    if (history.daily_records.some(r => r.date === period.date)) {
+      return;
+    }
+
+    const hours = hourlyForecast.filter(h => h.timestamp >= period.start && h.timestamp < period.end);
+    const lastHour = period.end - 60 * 60 * 1000;
+    // The forecast must reach the end of the day
+    if (hours.length === 0 || Math.max(...hours.map(h => h.timestamp)) < lastHour) {
+      console.log('[ForecastValidation] Daily forecast does not cover the day, skipping', period.date);
+      return;
+    }
+
+    const temps = hours.map(h => h.temp);
+    history.daily_records.push({
+      date: period.date,
+      issued: now,
+      period_start: Math.min(...hours.map(h => h.timestamp)),
+      period_end: period.end,
+      forecast_high: Math.max(...temps),
+      forecast_low: Math.min(...temps),
+      observed_high: null,
+      observed_low: null,
+      high_delta: null,
+      low_delta: null,
+      verified: null
+    });
+  }
+
+  // Compare finished days with the sensor's observed max/min from the recorder
+  async _verifyDailyForecasts() {
+    const now = Date.now();
+    const due = this.config.sources.flatMap(source =>
+      this._loadHistory(source).daily_records.filter(r => r.verified === null && r.period_end <= now));
+    if (due.length === 0) {
+      return;
+    }
+
+    // One recorder query per period, shared by the sources captured over the same hours
+    const periodKey = (record) => `${record.period_start}-${record.period_end}`;
+    const observed = {};
+    for (const record of due) {
+      if (observed[periodKey(record)] !== undefined) continue;
+      try {
+        const states = await this._fetchSensorHistory(record.period_start, record.period_end);
+        const high = this._aggregateStates(states, record.period_start, record.period_end, 'max');
+        const low = this._aggregateStates(states, record.period_start, record.period_end, 'min');
+        observed[periodKey(record)] = high !== null ? { high, low } : null;
+      } catch (error) {
+        console.warn('Recorder history error, daily high/low not verified:', error);
+        observed[periodKey(record)] = null;
+      }
+    }
+
+    let verified = false;
+    for (const source of this.config.sources) {
+      const history = this._loadHistory(source);
+      let changed = false;
+      for (const record of history.daily_records) {
+        const obs = observed[periodKey(record)];
+        if (record.verified !== null || record.period_end > now || !obs) continue;
+
+        record.observed_high = obs.high;
+        record.observed_low = obs.low;
+        record.high_delta = record.forecast_high - obs.high;
+        record.low_delta = record.forecast_low - obs.low;
+        record.verified = now;
+        changed = true;
+      }
+      if (changed) {
+        this._saveHistory(source, history);
+        verified = true;
+      }
+    }
+
+    if (verified) {
+      this._calculateStatistics();
+    }
+  }
+
+  // Queue the probability for the next hour; it is scored against the rain sensor once that hour has ended.
+  // Only the first forecast for an hour is kept, so every hour is scored once at a lead of up to an hour.
+  _queuePrecipitationForecast(history, precipitation, now) {
+    const next = precipitation.find(p => p.timestamp > now && p.timestamp <= now + 60 * 60 * 1000);
+    if (!next || history.precip_pending.some(p => p.hour_start === next.timestamp)) {
+      return;
+    }
+
+    history.precip_pending.push({
+      hour_start: next.timestamp,
+      issued: now,
+      probability: next.probability
+    });
+  }
+
+  // Check finished hours against the precipitation entity's recorder history (one query for all sources)
+  async _verifyPrecipitationForecasts() {
+    const hourMs = 60 * 60 * 1000;
+    const now = Date.now();
+    const due = this.config.sources.flatMap(source =>
+      this._loadHistory(source).precip_pending.filter(p => p.hour_start + hourMs <= now));
+    if (due.length === 0) {
+      return;
+    }
+
+    let states;
+    try {
+      states = await this._fetchEntityHistory(this.config.precipitation_sensor, Math.min(...due.map(p => p.hour_start)), now);
+    } catch (error) {
+      console.warn('Recorder history error, precipitation not verified:', error);
+      return;
+    }
+
+    let verified = false;
+    for (const source of this.config.sources) {
+      const history = this._loadHistory(source);
+      let changed = false;
+
+      history.precip_pending = history.precip_pending.filter(p => {
+        if (p.hour_start + hourMs > now) {
+          return true;
+        }
+        // Hours without recorder data stay queued until PRECIPITATION_MAX_LATE_MS
+        const rained = this._observedRain(states, p.hour_start, p.hour_start + hourMs);
+        if (rained === null) {
+          return true;
+        }
+
+        history.precip_records.push({
+          timestamp: p.hour_start,
+          issued: p.issued,
+          verified: now,
+          probability: p.probability,
+          observed: rained ? 1 : 0
+        });
+        changed = true;
+        return false;
+      });
+
+      if (changed) {
+        this._saveHistory(source, history);
+        verified = true;
+      }
+    }
+
+    if (verified) {
+      this._calculateStatistics();
+    }
+  }
+
+  // Whether the precipitation entity registered rain in [start, end), or null without data.
+  // Binary sensors count as rain when on; rate sensors (device class precipitation_intensity)
+  // when above zero; accumulation sensors when their total rises (drops are resets).
+  _observedRain(states, start, end) {
+    const entityId = this.config.precipitation_sensor;
+    let initial = null;
+    const during = [];
+    for (const state of states) {
+      if (state.timestamp <= start) {
+        initial = state;
+      } else if (state.timestamp < end) {
+        during.push(state);
+      }
+    }
+
+    const known = (initial ? [initial, ...during] : during)
+      .filter(state => state.state !== 'unavailable' && state.state !== 'unknown');
+    if (known.length === 0) {
+      return null;
+    }
+    if (entityId.startsWith('binary_sensor.')) {
+      return known.some(state => state.state === 'on');
+    }
+
+    const values = known.map(state => parseFloat(state.state)).filter(value => !isNaN(value));
+    if (values.length === 0) {
+      return null;
+    }
+    if (this.hass.states[entityId]?.attributes.device_class === 'precipitation_intensity') {
+      return values.some(value => value > 0);
+    }
+    return values.some((value, i) => i > 0 && value > values[i - 1]);
+  }
+
+  // Remember when the next queued forecast becomes due so sensor updates can skip storage reads
+  _refreshPendingDue() {
+    const due = this.config.sources.flatMap(source => {
+      const delay = this._getVerificationDelay(source);
+      return this._loadHistory(source).pending_lookahead.map(p => p.valid_time + delay);
+    });
+
+    this._nextPendingDue = due.length > 0 ? Math.min(...due) : null;
+  }
+
+  // MAE, bias and accuracy of verified forecasts for the configured lookahead
+  _calculateLookaheadStatistics(history) {
+    const lead = this.config.forecast_lookahead;
+    if (!lead) {
+      return null;
+    }
+    return this._calculateLeadStatistics(history.lookahead_records.filter(r => r.lead === lead), lead,
+      this._getAggregates(history, lead));
+  }
+
+  // One row per configured lead time; lead 0 is the nowcast comparison
+  _calculateLeadTimeMatrix(history) {
+    return this.config.lead_times.map(lead => this._calculateLeadStatistics(
+      lead === 0 ? history.records : history.lookahead_records.filter(r => r.lead === lead),
+      lead,
+      this._getAggregates(history, lead)
+    ));
+  }
+
+  _calculateLeadStatistics(records, lead, aggregates = []) {
+    const sums = this._sumErrors(records, aggregates);
+    if (sums.count === 0) {
+      return { lead, mae: null, bias: null, accuracy: null, recordCount: 0 };
+    }
+
+    return {
+      lead,
+      mae: sums.sumAbs / sums.count,
+      bias: sums.sum / sums.count,
+      accuracy: (sums.accurate / sums.count) * 100,
+      recordCount: sums.count
+    };
+  }
+
+  // Daily and monthly aggregates of one lead time (0 = hourly comparisons)
+  _getAggregates(history, lead) {
+    return [...history.daily_aggregates, ...history.monthly_aggregates].filter(a => a.lead === lead);
+  }
+
+  // Error sums over raw records plus aggregates of compacted ones, so MAE, bias, RMSE, accuracy and
+  // the largest miss cover the whole history at a cost that doesn't grow with its aggregated part
+  _sumErrors(records, aggregates = []) {
+    const threshold = this._getAccuracyThreshold();
+    const sums = { count: 0, sum: 0, sumAbs: 0, sumSq: 0, accurate: 0, worst: null };
+    const consider = (delta, timestamp) => {
+      if (!sums.worst || Math.abs(delta) > Math.abs(sums.worst.delta)) {
+        sums.worst = { delta, timestamp };
+      }
+    };
+
+    for (const r of records) {
+      sums.count++;
+      sums.sum += r.delta;
+      sums.sumAbs += Math.abs(r.delta);
+      sums.sumSq += r.delta * r.delta;
+      sums.accurate += Math.abs(r.delta) <= threshold ? 1 : 0;
+      consider(r.delta, r.timestamp);
+    }
+    const thresholdBin = Math.round(threshold * 10);
+    for (const a of aggregates) {
+      sums.count += a.count;
+      sums.sum += a.sum_error;
+      sums.sumAbs += a.sum_abs_error;
+      sums.sumSq += a.sum_sq_error;
+      for (const [bin, count] of Object.entries(a.error_bins || {})) {
+        sums.accurate += Number(bin) <= thresholdBin ? count : 0;
+      }
+      sums.accurate += a.accurate || 0; // counted at compaction when the aggregate has no histogram
+      consider(a.min_error, a.min_time);
+      consider(a.max_error, a.max_time);
+    }
+    return sums;
+  }
+
+  _calculateStatistics() {
+    const statistics = {};
+    for (const source of this.config.sources) {
+      statistics[source.id] = this._calculateSourceStatistics(this._loadHistory(source));
+    }
+    this._countDaysWon(statistics);
+    this._statistics = statistics;
+  }
+
+  // A source wins a completed day when its daily MAE is the lowest of all sources with records that day
+  _countDaysWon(statistics) {
+    const todayKey = this._getDayKey(Date.now());
+    const days = new Set(Object.values(statistics).flatMap(s => Object.keys(s.dailyMae)));
+
+    for (const stats of Object.values(statistics)) {
+      stats.daysWon = 0;
+    }
+
+    for (const day of days) {
+      if (day === todayKey) continue;
+
+      const contenders = Object.values(statistics).filter(s => s.dailyMae[day] !== undefined);
+      if (contenders.length < 2) continue;
+
+      const winner = contenders.reduce((best, s) => s.dailyMae[day] < best.dailyMae[day] ? s : best);
+      winner.daysWon++;
+    }
+  }
+
+  // Local calendar day (YYYY-MM-DD) of a timestamp
+  _getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  // MAE per local calendar day, keyed by _getDayKey, including days compacted into daily aggregates
+  _calculateDailyMae(records, dailyAggregates = []) {
+    const days = {};
+    const add = (timestamp, sumAbs, count) => {
+      const key = this._getDayKey(timestamp);
+      days[key] = days[key] || { sum: 0, count: 0 };
+      days[key].sum += sumAbs;
+      days[key].count += count;
+    };
+    for (const r of records) {
+      add(r.timestamp, Math.abs(r.delta), 1);
+    }
+    for (const a of dailyAggregates) {
+      add(a.period_start, a.sum_abs_error, a.count);
+    }
+
+    const dailyMae = {};
+    for (const [key, day] of Object.entries(days)) {
+      dailyMae[key] = day.sum / day.count;
+    }
+    return dailyMae;
+  }
+
+  _calculateSourceStatistics(storedHistory) {
+    // Records flagged by the quality checks stay in storage and on the chart, but not in any statistic
+    const history = {
+      ...storedHistory,
+      records: storedHistory.records.filter(r => !r.qc),
+      lookahead_records: storedHistory.lookahead_records.filter(r => !r.qc)
+    };
+    const rejected = this._countRejected(storedHistory);
+    const recentRecords = storedHistory.records.slice(-168); // Last 168 records (7 days at hourly)
+    const records = history.records;
+    const lookahead = this._calculateLookaheadStatistics(history);
+    const leadTimes = this._calculateLeadTimeMatrix(history);
+    const aggregates = this._getAggregates(history, 0);
+    const dailyMae = this._calculateDailyMae(records, history.daily_aggregates.filter(a => a.lead === 0));
+    const highLow = this._calculateHighLowStatistics(history);
+    const precipitation = this._calculatePrecipitationStatistics(history);
+    const correction = this._calculateBiasCorrection(records);
+    const leadCorrections = this._calculateLeadCorrections(history, correction);
+    const diurnal = this._calculateDiurnalProfile(records);
+    const skill = this._calculateSkillScores(history);
+    const conditions = this._calculateConditionBreakdown(records);
+
+    // MAE, bias, accuracy and the error spread include the aggregates; the trend, percentiles and the
+    // breakdowns above need individual records and use the raw part of the history
+    const sums = this._sumErrors(records, aggregates);
+    const aggregatedCount = aggregates.reduce((count, a) => count + a.count, 0);
+
+    if (sums.count === 0) {
+      return {
+        mae: null,
+        bias: null,
+        trend: 'stable',
+        trendDetail: null,
+        accuracy: null,
+        ...this._calculateErrorDistribution(records),
+        recordCount: 0,
+        aggregatedCount: 0,
+        backfilledCount: 0,
+        rejected,
+        recentRecords,
+        lookahead,
+        leadTimes,
+        dailyMae,
+        highLow,
+        precipitation,
+        correction,
+        leadCorrections,
+        diurnal,
+        skill,
+        conditions
+      };
+    }
+
+    // Calculate MAE (Mean Absolute Error)
+    const mae = sums.sumAbs / sums.count;
+
+    // Calculate bias (average signed delta)
+    // Positive = forecasts typically run high, Negative = run low
+    const bias = sums.sum / sums.count;
+
+    const { trend, trendDetail } = this._calculateTrend(records, Date.now());
+
+    // Calculate accuracy percentage (within the variable's threshold = accurate)
+    const accuracyPct = (sums.accurate / sums.count) * 100;
+
+    return {
+      mae: mae,
+      bias: bias,
+      trend: trend,
+      trendDetail,
+      accuracy: accuracyPct,
+      ...this._calculateErrorDistribution(records, aggregates),
+      recordCount: sums.count,
+      aggregatedCount,
+      backfilledCount: records.filter(r => r.backfilled).length,
+      rejected,
+      recentRecords,
+      lookahead,
+      leadTimes,
+      dailyMae,
+      highLow,
+      precipitation,
+      correction,
+      leadCorrections,
+      diurnal,
+      skill,
+      conditions
+    };
+  }
+
+  // Records rejected by the quality checks: { count, reasons: { flag: count } }
+  _countRejected(history) {
+    const reasons = {};
+    let count = 0;
+    for (const record of [...history.records, ...history.lookahead_records]) {
+      if (!record.qc) {
+        continue;
+      }
+      count++;
+      for (const flag of record.qc) {
+        reasons[flag] = (reasons[flag] || 0) + 1;
+      }
+    }
+    return { count, reasons };
+  }
+
+  // Trend of the absolute error over the last two trend windows. A Mann-Kendall test decides whether
+  // it is significant and Sen's slope gives its size; anything not significant is 'stable'.
+  // trendDetail: { change (recent minus previous window MAE), slope (per day), confidence (%), points }
+  _calculateTrend(records, now) {
+    const windowMs = this.config.trend_window * 60 * 60 * 1000;
+    const start = now - 2 * windowMs;
+    const recent = records.filter(r => r.timestamp > now - windowMs);
+    const previous = records.filter(r => r.timestamp > start && r.timestamp <= now - windowMs);
+    if (recent.length < 2 || previous.length < 2) {
+      return { trend: 'stable', trendDetail: null };
+    }
+
+    const mae = (list) => list.reduce((sum, r) => sum + Math.abs(r.delta), 0) / list.length;
+    const change = mae(recent) - mae(previous);
+
+    // Mean absolute error per bin (hourly, or coarser for long windows), in time order
+    const binMs = Math.max(60 * 60 * 1000, (2 * windowMs) / TREND_MAX_POINTS);
+    const bins = new Map();
+    for (const record of [...previous, ...recent]) {
+      const bin = Math.floor((record.timestamp - start) / binMs);
+      if (!bins.has(bin)) {
+        bins.set(bin, []);
+      }
+      bins.get(bin).push(Math.abs(record.delta));
     }
+    const points = [...bins.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([bin, errors]) => ({
+        time: start + (bin + 0.5) * binMs,
+        error: errors.reduce((sum, e) => sum + e, 0) / errors.length
+      }));
 
-    // Calculate accuracy percentage (within 2 degrees = accurate)
-    const accurateCount = records.filter(r => Math.abs(r.delta) <= 2).length;
-    const accuracyPct = (accurateCount / records.length) * 100;
+    if (points.length < TREND_MIN_POINTS) {
+      return { trend: 'stable', trendDetail: { change, slope: null, confidence: null, points: points.length } };
+    }
 
-    this._statistics = {
-      mae: mae,
-      bias: bias,
-      trend: trend,
-      accuracy: accuracyPct,
-      recordCount: records.length,
-      recentRecords: records.slice(-168) // Last 168 records (7 days at hourly)
-    };
+    const slope = this._senSlope(points) * 24 * 60 * 60 * 1000;
+    const z = this._mannKendall(points, slope / (24 * 60 * 60 * 1000));
+    const confidence = (1 - 2 * (1 - this._normalCdf(Math.abs(z)))) * 100;
+
+    let trend = 'stable';
+    if (confidence >= this.config.trend_confidence) {
+      trend = z < 0 ? 'improving' : 'degrading';
+    }
+    return { trend, trendDetail: { change, slope, confidence, points: points.length } };
   }
 
-  // Secondary storage for Open-Meteo comparison data
-  _getStorageKeySecondary() {
-    return STORAGE_KEY_PREFIX + this.config.temperature_sensor.replace(/\./g, '_') + '_openmeteo';
+  // Mann-Kendall Z statistic of points [{time, error}], with the tie correction. Neighbouring hours
+  // are correlated, which would overstate significance, so the variance is scaled by (1 + r) / (1 - r),
+  // r being the lag-1 autocorrelation of the detrended series corrected for its small-sample bias.
+  // A series with fewer than TREND_MIN_POINTS effective (independent) points is never significant.
+  _mannKendall(points, slope) {
+    const n = points.length;
+    let score = 0;
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        score += Math.sign(points[j].error - points[i].error);
+      }
+    }
+
+    const ties = new Map();
+    for (const point of points) {
+      ties.set(point.error, (ties.get(point.error) || 0) + 1);
+    }
+    let variance = n * (n - 1) * (2 * n + 5);
+    for (const t of ties.values()) {
+      variance -= t * (t - 1) * (2 * t + 5);
+    }
+    variance /= 18;
+
+    const residuals = points.map(p => p.error - slope * p.time);
+    const mean = residuals.reduce((sum, r) => sum + r, 0) / n;
+    const denominator = residuals.reduce((sum, r) => sum + (r - mean) ** 2, 0);
+    const lag1 = denominator > 0
+      ? residuals.slice(1).reduce((sum, r, i) => sum + (r - mean) * (residuals[i] - mean), 0) / denominator
+      : 0;
+    const correlation = Math.min(0.95, Math.max(0, lag1 + (2 + 4 * lag1) / n));
+    const inflation = (1 + correlation) / (1 - correlation);
+    if (n / inflation < TREND_MIN_POINTS) {
+      return 0;
+    }
+    variance *= inflation;
+
+    if (score === 0 || variance <= 0) {
+      return 0;
+    }
+    return (score - Math.sign(score)) / Math.sqrt(variance);
   }
 
-  _loadHistorySecondary() {
-    try {
-      const key = this._getStorageKeySecondary();
-      const stored = localStorage.getItem(key);
-      if (stored) {
-        return JSON.parse(stored);
+  // Sen's slope: median of the slopes between every pair of points (error per millisecond)
+  _senSlope(points) {
+    const slopes = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        slopes.push((points[j].error - points[i].error) / (points[j].time - points[i].time));
       }
-    } catch (e) {
-      console.warn('Failed to load secondary forecast history:', e);
     }
-    return { records: [], last_updated: 0 };
+    return this._percentile(slopes.sort((a, b) => a - b), 50);
   }
 
-  _saveHistorySecondary(history) {
-    try {
-      const key = this._getStorageKeySecondary();
-      localStorage.setItem(key, JSON.stringify(history));
-    } catch (e) {
-      console.warn('Failed to save secondary forecast history:', e);
+  // Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+  _normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  // Bias per correction group (see BIAS_CORRECTION_MODES), learned from the nowcast records, plus a
+  // leave-one-day-out cross-validation of how much subtracting it would have improved MAE.
+  // Returns { bias, groups: { group: bias }, crossValidation } or null when correction is off.
+  _calculateBiasCorrection(records) {
+    if (!this.config.bias_correction) {
+      return null;
+    }
+
+    const sumBy = (list) => {
+      const sums = { total: 0, count: 0, groups: new Map() };
+      for (const r of list) {
+        const group = this._getCorrectionGroup(r.timestamp);
+        const g = sums.groups.get(group) || { total: 0, count: 0 };
+        g.total += r.delta;
+        g.count++;
+        sums.groups.set(group, g);
+        sums.total += r.delta;
+        sums.count++;
+      }
+      return sums;
+    };
+    // Group bias shrunk toward the overall bias; `minus` removes a held-out day from the sums
+    const biasFor = (sums, group, minus = null) => {
+      const count = sums.count - (minus?.count || 0);
+      const overall = count > 0 ? (sums.total - (minus?.total || 0)) / count : 0;
+      const g = sums.groups.get(group) || { total: 0, count: 0 };
+      const held = minus?.groups.get(group) || { total: 0, count: 0 };
+      return (g.total - held.total + BIAS_CORRECTION_PRIOR * overall) / (g.count - held.count + BIAS_CORRECTION_PRIOR);
+    };
+
+    const sums = sumBy(records);
+    const groups = {};
+    for (const group of sums.groups.keys()) {
+      groups[group] = biasFor(sums, group);
+    }
+
+    // Cross-validation needs at least two days, each corrected by the others
+    const days = new Map();
+    for (const r of records) {
+      const day = this._getDayKey(r.timestamp);
+      if (!days.has(day)) {
+        days.set(day, []);
+      }
+      days.get(day).push(r);
+    }
+
+    let crossValidation = null;
+    if (days.size >= 2) {
+      let rawError = 0;
+      let correctedError = 0;
+      for (const dayRecords of days.values()) {
+        const held = sumBy(dayRecords);
+        for (const r of dayRecords) {
+          rawError += Math.abs(r.delta);
+          correctedError += Math.abs(r.delta - biasFor(sums, this._getCorrectionGroup(r.timestamp), held));
+        }
+      }
+      const rawMae = rawError / records.length;
+      const correctedMae = correctedError / records.length;
+      crossValidation = {
+        rawMae,
+        correctedMae,
+        improvement: rawMae - correctedMae,
+        improvementPct: rawMae > 0 ? ((rawMae - correctedMae) / rawMae) * 100 : 0,
+        days: days.size
+      };
     }
+
+    return {
+      bias: sums.count > 0 ? sums.total / sums.count : null,
+      groups,
+      crossValidation
+    };
   }
 
-  _recordComparisonSecondary() {
-    const history = this._loadHistorySecondary();
-    const now = Date.now();
+  // Bias correction per verified lead time ([{ lead, correction }], lead 0 being the nowcast one), so
+  // an upcoming hour is corrected with the bias of forecasts made about as far ahead
+  _calculateLeadCorrections(history, nowcast) {
+    if (!nowcast) {
+      return [];
+    }
+    return [
+      { lead: 0, correction: nowcast },
+      ...this._getVerifiedLeadTimes().map(lead => ({
+        lead,
+        correction: this._calculateBiasCorrection(history.lookahead_records.filter(r => r.lead === lead))
+      }))
+    ];
+  }
 
-    const dedupWindowMs = this.config.refresh_interval * 60 * 1000 * 0.8;
-    const recentCutoff = now - dedupWindowMs;
-    const hasRecentRecord = history.records.some(r => r.timestamp > recentCutoff);
+  // Correction of the verified lead time nearest to `lead` hours (null when correction is off)
+  _getLeadCorrection(leadCorrections, lead) {
+    let nearest = null;
+    for (const entry of leadCorrections) {
+      if (!nearest || Math.abs(entry.lead - lead) < Math.abs(nearest.lead - lead)) {
+        nearest = entry;
+      }
+    }
+    return nearest?.correction ?? null;
+  }
 
-    if (!hasRecentRecord && this._currentForecastSecondary !== null && this._currentActual !== null) {
-      const delta = this._currentForecastSecondary - this._currentActual;
+  // Correction group of a timestamp: local hour, prefixed with the season (Dec-Feb = 0) if enabled
+  _getCorrectionGroup(timestamp) {
+    const date = new Date(timestamp);
+    if (this.config.bias_correction === 'hour_season') {
+      return `${Math.floor(((date.getMonth() + 1) % 12) / 3)}-${date.getHours()}`;
+    }
+    return String(date.getHours());
+  }
 
-      history.records.push({
-        timestamp: now,
-        forecast: this._currentForecastSecondary,
-        forecastLookahead: this._currentForecastSecondaryLookahead, // for chart display
-        actual: this._currentActual,
-        delta: delta
-      });
+  // Forecast value for a timestamp with the learned bias subtracted (null without a learned bias)
+  _applyBiasCorrection(correction, value, timestamp) {
+    if (!correction || correction.bias === null || value === null || value === undefined) {
+      return null;
     }
+    const bias = correction.groups[this._getCorrectionGroup(timestamp)] ?? correction.bias;
+    return value - bias;
+  }
 
-    const cutoffTime = now - (this.config.history_days * 24 * 60 * 60 * 1000);
-    history.records = history.records.filter(r => r.timestamp > cutoffTime);
+  // Skill against persistence and climatology for the nowcast and every verified lead time:
+  // [{lead, persistence, climatology}], each { skill, mae, baselineMae, count } or null
+  _calculateSkillScores(history) {
+    if (!this.config.skill_scores) {
+      return null;
+    }
 
-    history.last_updated = now;
-    this._saveHistorySecondary(history);
+    // One observation per hour from every stored comparison (nowcast and verified lookahead)
+    const hourMs = 60 * 60 * 1000;
+    const byHour = new Map();
+    for (const r of [...history.records, ...history.lookahead_records]) {
+      const key = Math.round(r.timestamp / hourMs);
+      if (!byHour.has(key)) {
+        byHour.set(key, { timestamp: r.timestamp, actual: r.actual });
+      }
+    }
+    const observations = [...byHour.values()].sort((a, b) => a.timestamp - b.timestamp);
+    const times = observations.map(o => o.timestamp);
+
+    // Observations per local hour of day, with running sums for the climatological mean
+    const hourly = Array.from({ length: 24 }, () => ({ times: [], sums: [0] }));
+    for (const obs of observations) {
+      const slot = hourly[new Date(obs.timestamp).getHours()];
+      slot.times.push(obs.timestamp);
+      slot.sums.push(slot.sums[slot.sums.length - 1] + obs.actual);
+    }
+
+    const persistence = (r, lead) => {
+      const target = r.timestamp - (lead > 0 ? lead : PERSISTENCE_NOWCAST_HOURS) * hourMs;
+      const index = this._countBefore(times, target);
+      const nearest = [observations[index - 1], observations[index]]
+        .filter(o => o && Math.abs(o.timestamp - target) <= 30 * 60 * 1000)
+        .sort((a, b) => Math.abs(a.timestamp - target) - Math.abs(b.timestamp - target))[0];
+      return nearest ? nearest.actual : null;
+    };
+    const climatology = (r) => {
+      const slot = hourly[new Date(r.timestamp).getHours()];
+      // Only days before this one (the same hour of an earlier day is at least 23h back)
+      const count = this._countBefore(slot.times, r.timestamp - hourMs);
+      return count >= CLIMATOLOGY_MIN_DAYS ? slot.sums[count] / count : null;
+    };
+
+    const score = (records, baseline) => {
+      let error = 0;
+      let baselineError = 0;
+      let count = 0;
+      for (const r of records) {
+        const reference = baseline(r);
+        if (reference === null) continue;
+        error += Math.abs(r.delta);
+        baselineError += Math.abs(reference - r.actual);
+        count++;
+      }
+      if (count === 0) {
+        return null;
+      }
+      return {
+        skill: baselineError > 0 ? 1 - error / baselineError : null,
+        mae: error / count,
+        baselineMae: baselineError / count,
+        count
+      };
+    };
+
+    const leads = [...new Set([0, ...this.config.lead_times, ...this._getVerifiedLeadTimes()])].sort((a, b) => a - b);
+    return leads.map(lead => {
+      const records = lead === 0 ? history.records : history.lookahead_records.filter(r => r.lead === lead);
+      return {
+        lead,
+        persistence: score(records, r => persistence(r, lead)),
+        climatology: score(records, climatology)
+      };
+    });
   }
 
-  _calculateStatisticsSecondary() {
-    const history = this._loadHistorySecondary();
-    const records = history.records;
+  // Number of sorted timestamps below a value
+  _countBefore(times, value) {
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (times[mid] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
 
-    if (records.length === 0) {
-      this._statisticsSecondary = {
-        mae: null,
-        bias: null,
-        trend: 'stable',
-        accuracy: null,
-        recordCount: 0,
-        recentRecords: []
+  // MAE and bias per weather regime band (see CONDITION_BREAKDOWNS), from records that stored conditions:
+  // [{name, bands: [{label, mae, bias, count}]}]
+  _calculateConditionBreakdown(records) {
+    if (!this.config.condition_breakdown) {
+      return null;
+    }
+
+    return CONDITION_BREAKDOWNS.map(breakdown => {
+      const bands = new Map(breakdown.order.map(label => [label, { label, sum: 0, sumAbs: 0, count: 0 }]));
+      for (const r of records) {
+        const value = r.conditions?.[breakdown.field];
+        if (value === null || value === undefined) continue;
+        const band = bands.get(breakdown.bucket(value));
+        band.sum += r.delta;
+        band.sumAbs += Math.abs(r.delta);
+        band.count++;
+      }
+      return {
+        name: breakdown.name,
+        bands: [...bands.values()].map(b => ({
+          label: b.label,
+          mae: b.count > 0 ? b.sumAbs / b.count : null,
+          bias: b.count > 0 ? b.sum / b.count : null,
+          count: b.count
+        }))
       };
-      return;
+    });
+  }
+
+  // Mean error and MAE per local hour of the day: [{hour, bias, mae, count}] for hours 0-23
+  _calculateDiurnalProfile(records) {
+    const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, sum: 0, sumAbs: 0, count: 0 }));
+    for (const r of records) {
+      const h = hours[new Date(r.timestamp).getHours()];
+      h.sum += r.delta;
+      h.sumAbs += Math.abs(r.delta);
+      h.count++;
     }
+    return hours.map(h => ({
+      hour: h.hour,
+      bias: h.count > 0 ? h.sum / h.count : null,
+      mae: h.count > 0 ? h.sumAbs / h.count : null,
+      count: h.count
+    }));
+  }
 
-    const sumAbsError = records.reduce((sum, r) => sum + Math.abs(r.delta), 0);
-    const mae = sumAbsError / records.length;
+  // Spread of the errors beyond MAE and bias: RMSE, median and percentile absolute errors,
+  // standard deviation around the bias and the largest miss. Aggregates of compacted records
+  // count in all of them except the median and percentiles.
+  _calculateErrorDistribution(records, aggregates = []) {
+    const sums = this._sumErrors(records, aggregates);
+    if (sums.count === 0) {
+      return { rmse: null, medianError: null, p90: null, p95: null, stdDev: null, maxError: null };
+    }
 
-    const sumDelta = records.reduce((sum, r) => sum + r.delta, 0);
-    const bias = sumDelta / records.length;
+    const absErrors = records.map(r => Math.abs(r.delta)).sort((a, b) => a - b);
+    const percentile = (p) => absErrors.length > 0 ? this._percentile(absErrors, p) : null;
+    const bias = sums.sum / sums.count;
 
-    const now = Date.now();
-    const oneDayAgo = now - 24 * 60 * 60 * 1000;
-    const twoDaysAgo = now - 48 * 60 * 60 * 1000;
+    return {
+      rmse: Math.sqrt(sums.sumSq / sums.count),
+      medianError: percentile(50),
+      p90: percentile(90),
+      p95: percentile(95),
+      stdDev: Math.sqrt(Math.max(sums.sumSq / sums.count - bias * bias, 0)),
+      maxError: sums.worst
+    };
+  }
+
+  // Percentile of sorted values, interpolating between the nearest ranks
+  _percentile(sorted, p) {
+    const rank = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
 
-    const recentRecords = records.filter(r => r.timestamp > oneDayAgo);
-    const previousRecords = records.filter(r => r.timestamp > twoDaysAgo && r.timestamp <= oneDayAgo);
+  // MAE and bias of verified daily highs and lows, plus the verified days (newest first)
+  _calculateHighLowStatistics(history) {
+    if (this.config.daily_issue_hour === null) {
+      return null;
+    }
 
-    let trend = 'stable';
-    if (recentRecords.length >= 2 && previousRecords.length >= 2) {
-      const recentMAE = recentRecords.reduce((s, r) => s + Math.abs(r.delta), 0) / recentRecords.length;
-      const previousMAE = previousRecords.reduce((s, r) => s + Math.abs(r.delta), 0) / previousRecords.length;
+    const days = history.daily_records
+      .filter(r => r.verified !== null)
+      .sort((a, b) => b.period_start - a.period_start);
+    const summarize = (deltas) => deltas.length === 0
+      ? { mae: null, bias: null }
+      : {
+        mae: deltas.reduce((sum, d) => sum + Math.abs(d), 0) / deltas.length,
+        bias: deltas.reduce((sum, d) => sum + d, 0) / deltas.length
+      };
 
-      const diff = recentMAE - previousMAE;
-      if (diff < -0.5) {
-        trend = 'improving';
-      } else if (diff > 0.5) {
-        trend = 'degrading';
-      }
+    return {
+      high: summarize(days.map(r => r.high_delta)),
+      low: summarize(days.map(r => r.low_delta)),
+      dayCount: days.length,
+      days
+    };
+  }
+
+  // Brier score, hit and false-alarm rates and reliability bins of verified precipitation probabilities
+  _calculatePrecipitationStatistics(history) {
+    if (!this.config.precipitation_sensor) {
+      return null;
     }
 
-    const accurateCount = records.filter(r => Math.abs(r.delta) <= 2).length;
-    const accuracyPct = (accurateCount / records.length) * 100;
+    const records = history.precip_records;
+    const rainy = records.filter(r => r.observed === 1);
+    const dry = records.filter(r => r.observed === 0);
+    const forecastRain = (r) => r.probability >= PRECIPITATION_EVENT_PROBABILITY;
 
-    this._statisticsSecondary = {
-      mae: mae,
-      bias: bias,
-      trend: trend,
-      accuracy: accuracyPct,
-      recordCount: records.length,
-      recentRecords: records.slice(-168)
+    // Reliability bins of 10 percentage points (0-9%, ..., 90-100%)
+    const bins = Array.from({ length: 10 }, () => []);
+    for (const record of records) {
+      bins[Math.min(9, Math.floor(record.probability / 10))].push(record);
+    }
+
+    return {
+      count: records.length,
+      rainCount: rainy.length,
+      brier: records.length > 0
+        ? records.reduce((sum, r) => sum + (r.probability / 100 - r.observed) ** 2, 0) / records.length
+        : null,
+      hitRate: rainy.length > 0 ? (rainy.filter(forecastRain).length / rainy.length) * 100 : null,
+      falseAlarmRate: dry.length > 0 ? (dry.filter(forecastRain).length / dry.length) * 100 : null,
+      reliability: bins
+        .filter(bin => bin.length > 0)
+        .map(bin => ({
+          forecast: bin.reduce((sum, r) => sum + r.probability, 0) / bin.length,
+          observed: (bin.reduce((sum, r) => sum + r.observed, 0) / bin.length) * 100,
+          count: bin.length
+        }))
     };
   }
 
@@ -1085,7 +4225,7 @@ class ForecastTemperatureAccuracyCard extends LitElement {
 
   _getDeltaClass(delta) {
     if (delta === null || delta === undefined) return '';
-    if (Math.abs(delta) <= 1) return 'delta-neutral';
+    if (Math.abs(delta) <= this._getAccuracyThreshold() / 2) return 'delta-neutral';
     return delta > 0 ? 'delta-positive' : 'delta-negative';
   }
 
@@ -1095,92 +4235,255 @@ class ForecastTemperatureAccuracyCard extends LitElement {
 
   _renderApexChart() {
     const chartContainer = this.shadowRoot?.querySelector('#apex-chart');
-    if (!chartContainer || !window.ApexCharts || !this._statistics?.recentRecords) {
+    const sources = this.config.sources;
+    const primaryStats = this._statistics?.[sources[0].id];
+    if (!chartContainer || !window.ApexCharts || !primaryStats?.recentRecords) {
       return;
     }
 
-    const records = this._statistics.recentRecords;
+    const records = primaryStats.recentRecords;
     if (records.length < 2) {
       return;
     }
 
-    const unitWithDegree = this._getUnitWithDegree();
+    if (this._chartView === 'diurnal') {
+      this._renderDiurnalChart(chartContainer);
+      return;
+    }
+
+    const unitLabel = this._getUnitLabel();
     const isComparison = this._isComparisonMode();
     const lookahead = this.config.forecast_lookahead || 0;
     const lookaheadSuffix = lookahead > 0 ? ` +${lookahead}h` : '';
 
-    // Prepare historical data series
-    const forecastData = records.map(r => ({
-      x: r.timestamp,
-      y: parseFloat(r.forecast.toFixed(1))
-    }));
-
     const actualData = records.map(r => ({
       x: r.timestamp,
       y: parseFloat(r.actual.toFixed(1))
     }));
 
-    // Add future forecast data if lookahead is enabled
-    if (lookahead > 0 && this._futureForecast && this._futureForecast.length > 0) {
-      for (const future of this._futureForecast) {
-        forecastData.push({
-          x: future.timestamp,
-          y: parseFloat(future.temp.toFixed(1))
+    // One forecast line per source (historical records plus future lookahead forecast),
+    // with lookahead suffix in names when lookahead is enabled
+    const forecastSeries = sources.map(source => {
+      const data = (this._statistics[source.id]?.recentRecords || []).map(r => ({
+        x: r.timestamp,
+        y: parseFloat(r.forecast.toFixed(1))
+      }));
+
+      const future = this._forecasts[source.id]?.future || [];
+      for (const point of future) {
+        data.push({
+          x: point.timestamp,
+          y: parseFloat(point.temp.toFixed(1))
         });
       }
-    }
 
-    // Build series array with lookahead suffix in names when lookahead is enabled
-    const forecastLabel = isComparison ? 'Tempest' + lookaheadSuffix : 'Forecast' + lookaheadSuffix;
+      return {
+        name: (isComparison ? this._getSourceLabel(source) : 'Forecast') + lookaheadSuffix,
+        data: data,
+        color: source.color
+      };
+    });
+
+    // Primary forecast first, then actual, then the other sources
     const series = [
-      {
-        name: forecastLabel,
-        data: forecastData,
-        color: '#FF9800'
-      },
+      forecastSeries[0],
       {
         name: 'Actual',
         data: actualData,
         color: '#2196F3'
+      },
+      ...forecastSeries.slice(1)
+    ];
+
+    // Bias-corrected upcoming hours of the primary forecast, dashed. Each hour uses the bias learned at
+    // the nearest verified lead time; hours whose lead time has no records yet are left out.
+    const leadCorrections = primaryStats.leadCorrections || [];
+    const issuedAt = Date.now();
+    const correctedData = (this._forecasts[sources[0].id]?.future || [])
+      .map(point => ({
+        x: point.timestamp,
+        y: this._applyBiasCorrection(this._getLeadCorrection(leadCorrections, (point.timestamp - issuedAt) / 3600000),
+          point.temp, point.timestamp)
+      }))
+      .filter(point => point.y !== null)
+      .map(point => ({ x: point.x, y: parseFloat(point.y.toFixed(1)) }));
+    if (correctedData.length > 0) {
+      series.push({
+        name: `Corrected${lookaheadSuffix}`,
+        data: correctedData,
+        color: sources[0].color
+      });
+    }
+
+    // Get computed styles for theming
+    const computedStyle = getComputedStyle(this);
+    const textColor = computedStyle.getPropertyValue('--primary-text-color').trim() || '#333';
+    const secondaryTextColor = computedStyle.getPropertyValue('--secondary-text-color').trim() || '#666';
+    const dividerColor = computedStyle.getPropertyValue('--divider-color').trim() || '#e0e0e0';
+
+    // Calculate x-axis range based on history_days config and lookahead
+    const now = Date.now();
+    const xAxisMin = now - (this.config.history_days * 24 * 60 * 60 * 1000);
+    // Extend x-axis to include lookahead hours if enabled
+    const xAxisMax = lookahead > 0 ? now + (lookahead * 60 * 60 * 1000) : now;
+
+    const options = {
+      chart: {
+        type: 'line',
+        height: this.config.chart_height,
+        fontFamily: 'inherit',
+        background: 'transparent',
+        toolbar: {
+          show: false
+        },
+        zoom: {
+          enabled: false
+        },
+        animations: {
+          enabled: true,
+          easing: 'easeinout',
+          speed: 500
+        }
+      },
+      series: series,
+      stroke: {
+        curve: 'straight',
+        width: 2,
+        dashArray: series.map((s, i) => correctedData.length > 0 && i === series.length - 1 ? 5 : 0)
+      },
+      markers: {
+        size: 0,
+        hover: {
+          size: 5
+        }
+      },
+      xaxis: {
+        type: 'datetime',
+        min: xAxisMin,
+        max: xAxisMax,
+        labels: {
+          datetimeUTC: false,
+          style: {
+            colors: secondaryTextColor,
+            fontSize: '11px'
+          },
+          datetimeFormatter: {
+            year: 'yyyy',
+            month: "MMM 'yy",
+            day: 'dd MMM',
+            hour: 'HH:mm'
+          }
+        },
+        axisBorder: {
+          show: false
+        },
+        axisTicks: {
+          show: false
+        }
+      },
+      yaxis: {
+        labels: {
+          style: {
+            colors: secondaryTextColor,
+            fontSize: '11px'
+          },
+          formatter: (value) => `${value.toFixed(0)}${unitLabel}`
+        }
+      },
+      grid: {
+        borderColor: dividerColor,
+        strokeDashArray: 3,
+        xaxis: {
+          lines: {
+            show: false
+          }
+        }
+      },
+      tooltip: {
+        theme: 'dark',
+        x: {
+          format: 'MMM dd, HH:mm'
+        },
+        y: {
+          formatter: (value) => `${value.toFixed(1)}${unitLabel}`
+        }
+      },
+      legend: {
+        position: 'top',
+        horizontalAlign: 'center',
+        labels: {
+          colors: textColor
+        },
+        markers: {
+          width: 10,
+          height: 10,
+          radius: 2
+        }
+      },
+      annotations: {
+        xaxis: [
+          {
+            x: now,
+            strokeDashArray: 0,
+            borderColor: '#00E396',
+            borderWidth: 2,
+            label: {
+              borderColor: '#00E396',
+              style: {
+                color: '#fff',
+                background: '#00E396',
+                fontSize: '11px',
+                fontWeight: 500
+              },
+              text: '',
+              position: 'top'
+            }
+          }
+        ],
+        // Readings rejected by the quality checks, marked on the actual line
+        points: records.filter(r => r.qc).map(r => ({
+          x: r.timestamp,
+          y: parseFloat(r.actual.toFixed(1)),
+          marker: { size: 4, fillColor: '#F44336', strokeColor: '#fff', strokeWidth: 1 },
+          label: {
+            borderColor: '#F44336',
+            style: { color: '#fff', background: '#F44336', fontSize: '10px' },
+            text: r.qc.map(flag => QC_FLAGS[flag]).join(', ')
+          }
+        }))
       }
-    ];
+    };
 
-    // Add Open-Meteo series in comparison mode
-    if (isComparison && this._statisticsSecondary?.recentRecords) {
-      const openMeteoData = this._statisticsSecondary.recentRecords.map(r => ({
-        x: r.timestamp,
-        y: parseFloat(r.forecast.toFixed(1))
-      }));
+    // Destroy existing chart if any
+    this._destroyChart();
 
-      // Add future forecast data for secondary source
-      if (lookahead > 0 && this._futureForecastSecondary && this._futureForecastSecondary.length > 0) {
-        for (const future of this._futureForecastSecondary) {
-          openMeteoData.push({
-            x: future.timestamp,
-            y: parseFloat(future.temp.toFixed(1))
-          });
-        }
-      }
+    // Create new chart
+    this._chart = new window.ApexCharts(chartContainer, options);
+    this._chart.render();
+  }
 
-      series.push({
-        name: 'Open-Meteo' + lookaheadSuffix,
-        data: openMeteoData,
-        color: '#9C27B0'
+  // Diurnal error profile in the main chart: bias bars and an MAE line per source, by local hour
+  _renderDiurnalChart(chartContainer) {
+    const unitLabel = this._getUnitLabel();
+    const isComparison = this._isComparisonMode();
+    const round = (value) => value !== null ? parseFloat(value.toFixed(2)) : null;
+
+    const series = this.config.sources
+      .filter(source => this._statistics[source.id]?.diurnal)
+      .flatMap(source => {
+        const profile = this._statistics[source.id].diurnal;
+        const label = isComparison ? `${this._getSourceLabel(source)} ` : '';
+        return [
+          { name: `${label}Bias`, type: 'column', data: profile.map(h => round(h.bias)), color: source.color },
+          { name: `${label}MAE`, type: 'line', data: profile.map(h => round(h.mae)), color: isComparison ? source.color : '#2196F3' }
+        ];
       });
-    }
 
-    // Get computed styles for theming
     const computedStyle = getComputedStyle(this);
     const textColor = computedStyle.getPropertyValue('--primary-text-color').trim() || '#333';
     const secondaryTextColor = computedStyle.getPropertyValue('--secondary-text-color').trim() || '#666';
     const dividerColor = computedStyle.getPropertyValue('--divider-color').trim() || '#e0e0e0';
 
-    // Calculate x-axis range based on history_days config and lookahead
-    const now = Date.now();
-    const xAxisMin = now - (this.config.history_days * 24 * 60 * 60 * 1000);
-    // Extend x-axis to include lookahead hours if enabled
-    const xAxisMax = lookahead > 0 ? now + (lookahead * 60 * 60 * 1000) : now;
-
     const options = {
       chart: {
         type: 'line',
@@ -1194,15 +4497,13 @@ class ForecastTemperatureAccuracyCard extends LitElement {
           enabled: false
         },
         animations: {
-          enabled: true,
-          easing: 'easeinout',
-          speed: 500
+          enabled: false
         }
       },
       series: series,
       stroke: {
         curve: 'straight',
-        width: 2
+        width: series.map(s => s.type === 'line' ? 2 : 0)
       },
       markers: {
         size: 0,
@@ -1210,21 +4511,18 @@ class ForecastTemperatureAccuracyCard extends LitElement {
           size: 5
         }
       },
+      plotOptions: {
+        bar: {
+          columnWidth: '70%'
+        }
+      },
       xaxis: {
-        type: 'datetime',
-        min: xAxisMin,
-        max: xAxisMax,
+        categories: Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0')),
+        tickAmount: 12,
         labels: {
-          datetimeUTC: false,
           style: {
             colors: secondaryTextColor,
             fontSize: '11px'
-          },
-          datetimeFormatter: {
-            year: 'yyyy',
-            month: "MMM 'yy",
-            day: 'dd MMM',
-            hour: 'HH:mm'
           }
         },
         axisBorder: {
@@ -1240,25 +4538,22 @@ class ForecastTemperatureAccuracyCard extends LitElement {
             colors: secondaryTextColor,
             fontSize: '11px'
           },
-          formatter: (value) => `${value.toFixed(0)}${unitWithDegree}`
+          formatter: (value) => `${value.toFixed(1)}${unitLabel}`
         }
       },
       grid: {
         borderColor: dividerColor,
-        strokeDashArray: 3,
-        xaxis: {
-          lines: {
-            show: false
-          }
-        }
+        strokeDashArray: 3
       },
       tooltip: {
         theme: 'dark',
+        shared: true,
+        intersect: false,
         x: {
-          format: 'MMM dd, HH:mm'
+          formatter: (value) => `${value}:00`
         },
         y: {
-          formatter: (value) => `${value.toFixed(1)}${unitWithDegree}`
+          formatter: (value) => value !== null && value !== undefined ? `${value.toFixed(1)}${unitLabel}` : '--'
         }
       },
       legend: {
@@ -1272,34 +4567,10 @@ class ForecastTemperatureAccuracyCard extends LitElement {
           height: 10,
           radius: 2
         }
-      },
-      annotations: {
-        xaxis: [
-          {
-            x: now,
-            strokeDashArray: 0,
-            borderColor: '#00E396',
-            borderWidth: 2,
-            label: {
-              borderColor: '#00E396',
-              style: {
-                color: '#fff',
-                background: '#00E396',
-                fontSize: '11px',
-                fontWeight: 500
-              },
-              text: '',
-              position: 'top'
-            }
-          }
-        ]
       }
     };
 
-    // Destroy existing chart if any
     this._destroyChart();
-
-    // Create new chart
     this._chart = new window.ApexCharts(chartContainer, options);
     this._chart.render();
   }
@@ -1328,28 +4599,28 @@ class ForecastTemperatureAccuracyCard extends LitElement {
       `;
     }
 
-    const unitWithDegree = this._getUnitWithDegree();
-    const delta = this._currentForecast !== null && this._currentActual !== null
-      ? this._currentForecast - this._currentActual
+    const unitLabel = this._getUnitLabel();
+    const variableName = this._getVariable().name.toLowerCase();
+    const sources = this.config.sources;
+    const primary = sources[0];
+    const currentForecast = this._forecasts[primary.id]?.current ?? null;
+    const statistics = this._statistics?.[primary.id];
+    const delta = currentForecast !== null && this._currentActual !== null
+      ? currentForecast - this._currentActual
       : null;
+    const correctedForecast = this._applyBiasCorrection(statistics?.correction, currentForecast, Date.now());
 
     const lookahead = this.config.forecast_lookahead || 0;
 
     // Comparison boxes always show NOW vs NOW - no lookahead suffix
-    let source = 'Open-Meteo';
-    let primaryLabel = 'Forecast';
     const isComparison = this._isComparisonMode();
-    if (this.config.tempest_api_key && this.config.tempest_station_id) {
-      source = `Tempest (Station ${this.config.tempest_station_id})`;
-      primaryLabel = 'Tempest';
-    }
-    if (isComparison) {
-      source = `Tempest vs Open-Meteo`;
-    }
-
-    const deltaSecondary = isComparison && this._currentForecastSecondary !== null && this._currentActual !== null
-      ? this._currentForecastSecondary - this._currentActual
-      : null;
+    const adapter = FORECAST_SOURCES[primary.type];
+    const primaryLabel = primary.type === 'openmeteo' && !primary.label && !primary.model
+      ? 'Forecast'
+      : this._getSourceLabel(primary);
+    const source = isComparison
+      ? sources.map(s => this._getSourceLabel(s)).join(' vs ')
+      : (adapter.describe ? adapter.describe(primary, this._getSourceLabel(primary)) : this._getSourceLabel(primary));
 
     return html`
       <ha-card>
@@ -1363,70 +4634,65 @@ class ForecastTemperatureAccuracyCard extends LitElement {
           ></ha-icon>
         </div>
 
-        <div class="current-comparison">
-          <div class="value-box" title="${TOOLTIPS.forecast(0)}">
+        <div class="current-comparison ${this.config.bias_correction ? 'with-correction' : ''}">
+          <div class="value-box" title="${TOOLTIPS.forecast(0, variableName)}">
             <div class="value-label">${primaryLabel}</div>
             <div class="value-number">
-              ${this._currentForecast !== null ? this._currentForecast.toFixed(1) : '--'}
-              <span class="value-unit">${unitWithDegree}</span>
+              ${currentForecast !== null ? currentForecast.toFixed(1) : '--'}
+              <span class="value-unit">${unitLabel}</span>
             </div>
           </div>
 
-          <div class="value-box" title="${TOOLTIPS.actual}">
+          ${this.config.bias_correction ? html`
+            <div class="value-box" title="${TOOLTIPS.corrected(this.config.bias_correction)}">
+              <div class="value-label">Corrected</div>
+              <div class="value-number">
+                ${correctedForecast !== null ? correctedForecast.toFixed(1) : '--'}
+                <span class="value-unit">${unitLabel}</span>
+              </div>
+            </div>
+          ` : ''}
+
+          <div class="value-box" title="${TOOLTIPS.actual(variableName)}">
             <div class="value-label">Actual</div>
             <div class="value-number">
               ${this._currentActual !== null ? this._currentActual.toFixed(1) : '--'}
-              <span class="value-unit">${unitWithDegree}</span>
+              <span class="value-unit">${unitLabel}</span>
             </div>
           </div>
 
-          <div class="value-box" title="${TOOLTIPS.delta(0)}">
+          <div class="value-box" title="${TOOLTIPS.delta(0, variableName)}">
             <div class="value-label">Delta</div>
             <div class="value-number ${this._getDeltaClass(delta)}">
               ${this._formatDelta(delta)}
-              <span class="value-unit">${unitWithDegree}</span>
+              <span class="value-unit">${unitLabel}</span>
             </div>
           </div>
         </div>
 
-        ${this._statistics ? html`
+        ${statistics ? html`
           <div class="statistics-section">
             <div class="statistics-header">Accuracy Statistics (${this.config.history_days} days)</div>
-            ${this._statistics.recordCount > 0 ? html`
+            ${statistics.recordCount > 0 ? html`
               <div class="stats-grid">
-                <div class="stat-item" title="${TOOLTIPS.mae}">
-                  <span class="stat-label">Mean Abs Error</span>
-                  <span class="stat-value">${this._statistics.mae !== null ? this._statistics.mae.toFixed(1) + unitWithDegree : '--'}</span>
-                </div>
-
-                <div class="stat-item" title="${TOOLTIPS.bias}">
-                  <span class="stat-label">Bias</span>
-                  <span class="stat-value ${this._getDeltaClass(this._statistics.bias)}">
-                    ${this._statistics.bias !== null ? this._formatDelta(this._statistics.bias) + unitWithDegree : '--'}
-                  </span>
-                </div>
+                ${this.config.stats.map(name => this._renderStatItem(name, statistics, unitLabel, variableName))}
+              </div>
 
-                <div class="stat-item" title="${TOOLTIPS.accuracy}">
-                  <span class="stat-label">Accuracy (+/-2${unitWithDegree})</span>
-                  <span class="stat-value">${this._statistics.accuracy !== null ? this._statistics.accuracy.toFixed(0) + '%' : '--'}</span>
-                </div>
+              ${this._renderBiasCorrection(statistics.correction, unitLabel)}
 
-                <div class="stat-item" title="${TOOLTIPS.trend}">
-                  <span class="stat-label">Trend</span>
-                  <span class="stat-value trend-${this._statistics.trend}">
-                    ${this._statistics.trend === 'improving' ? 'Improving' :
-                      this._statistics.trend === 'degrading' ? 'Degrading' : 'Stable'}
-                  </span>
-                </div>
-              </div>
+              ${this._renderLookaheadStatistics(statistics.lookahead, unitLabel)}
 
               ${this.config.show_chart ? html`
-                <div class="chart-container" title="${lookahead > 0 ? `Chart shows forecast for +${lookahead}h ahead vs actual at that moment` : TOOLTIPS.chart(0)}">
-                  ${this._chartReady && this._statistics.recentRecords?.length >= 2 ? html`
+                <div class="chart-tabs">
+                  <span class="chart-tab ${this._chartView === 'history' ? 'active' : ''}" @click=${() => { this._chartView = 'history'; }}>History</span>
+                  <span class="chart-tab ${this._chartView === 'diurnal' ? 'active' : ''}" @click=${() => { this._chartView = 'diurnal'; }}>Time of Day</span>
+                </div>
+                <div class="chart-container" title="${this._chartView === 'diurnal' ? TOOLTIPS.diurnal : lookahead > 0 ? `Chart shows forecast for +${lookahead}h ahead vs actual at that moment` : TOOLTIPS.chart(0)}">
+                  ${this._chartReady && statistics.recentRecords?.length >= 2 ? html`
                     <div id="apex-chart"></div>
                   ` : html`
                     <div class="chart-loading">
-                      ${this._statistics.recentRecords?.length < 2
+                      ${statistics.recentRecords?.length < 2
                         ? 'Waiting for more validated forecasts...'
                         : 'Loading chart...'}
                     </div>
@@ -1445,59 +4711,636 @@ class ForecastTemperatureAccuracyCard extends LitElement {
           </div>
         `}
 
-        ${isComparison ? html`
-          <div class="secondary-section">
-            <div class="secondary-header">Open-Meteo Reference</div>
-            <div class="secondary-comparison">
-              <div class="secondary-value-box" title="${TOOLTIPS.forecast(0)} (Open-Meteo)">
-                <div class="secondary-value-label">Forecast</div>
-                <div class="secondary-value-number">
-                  ${this._currentForecastSecondary !== null ? this._currentForecastSecondary.toFixed(1) : '--'}${unitWithDegree}
-                </div>
-              </div>
-              <div class="secondary-value-box" title="Actual temperature (same as above)">
-                <div class="secondary-value-label">Actual</div>
-                <div class="secondary-value-number">
-                  ${this._currentActual !== null ? this._currentActual.toFixed(1) : '--'}${unitWithDegree}
-                </div>
-              </div>
-              <div class="secondary-value-box" title="${TOOLTIPS.delta(0)} (Open-Meteo)">
-                <div class="secondary-value-label">Delta</div>
-                <div class="secondary-value-number ${this._getDeltaClass(deltaSecondary)}">
-                  ${this._formatDelta(deltaSecondary)}${unitWithDegree}
-                </div>
-              </div>
-            </div>
-            ${this._statisticsSecondary && this._statisticsSecondary.recordCount > 0 ? html`
-              <div class="secondary-stats">
-                <div class="secondary-stat">
-                  <div class="secondary-stat-label">MAE</div>
-                  <div class="secondary-stat-value">${this._statisticsSecondary.mae !== null ? this._statisticsSecondary.mae.toFixed(1) + unitWithDegree : '--'}</div>
-                </div>
-                <div class="secondary-stat">
-                  <div class="secondary-stat-label">Bias</div>
-                  <div class="secondary-stat-value ${this._getDeltaClass(this._statisticsSecondary.bias)}">${this._statisticsSecondary.bias !== null ? this._formatDelta(this._statisticsSecondary.bias) + unitWithDegree : '--'}</div>
-                </div>
-                <div class="secondary-stat">
-                  <div class="secondary-stat-label">Accuracy</div>
-                  <div class="secondary-stat-value">${this._statisticsSecondary.accuracy !== null ? this._statisticsSecondary.accuracy.toFixed(0) + '%' : '--'}</div>
-                </div>
-                <div class="secondary-stat">
-                  <div class="secondary-stat-label">Trend</div>
-                  <div class="secondary-stat-value trend-${this._statisticsSecondary.trend}">${this._statisticsSecondary.trend === 'improving' ? 'Up' : this._statisticsSecondary.trend === 'degrading' ? 'Down' : 'Flat'}</div>
-                </div>
-              </div>
-            ` : ''}
-          </div>
-        ` : ''}
+        ${this._renderLeadTimeMatrix(unitLabel, primaryLabel)}
+
+        ${this._renderSkillScores(primaryLabel)}
+
+        ${this._renderConditionBreakdown(unitLabel, primaryLabel)}
+
+        ${this._renderHighLowVerification(unitLabel, primaryLabel)}
+
+        ${this._renderPrecipitationVerification(primaryLabel)}
+
+        ${isComparison ? this._renderLeaderboard(unitLabel, lookahead) : ''}
+
+        ${this._renderDataTools(primaryLabel)}
+
+        <div class="source-info">
+          ${source}${lookahead > 0 ? ` (${lookahead}h lookahead)` : ''} | ${statistics?.recordCount || 0} comparisons${statistics?.backfilledCount ? ` (${statistics.backfilledCount} backfilled)` : ''}${statistics?.aggregatedCount ? ` (${statistics.aggregatedCount} in daily/monthly aggregates)` : ''}${statistics?.rejected?.count ? html`<span title=${TOOLTIPS.rejected(statistics.rejected.reasons)}> | ${statistics.rejected.count} rejected</span>` : ''}${this._isWindowedActual() ? ` | actual: ${this.config.actual_method} of ${this._getActualWindow(primary)} min` : ''} | ${this.config.history_days} day history${this._storage === 'homeassistant' ? ` (shared${this._historyWriter ? '' : ', updated by another browser'})` : ''}
+          <br>
+          Charting from ApexCharts
+        </div>
+      </ha-card>
+    `;
+  }
+
+  // One cell of the stats grid (see STATISTICS)
+  _renderStatItem(name, statistics, unitLabel, variableName) {
+    const formatError = (value) => value !== null ? value.toFixed(1) + unitLabel : '--';
+    const item = (tooltip, label, value, valueClass = '') => html`
+      <div class="stat-item" title="${tooltip}">
+        <span class="stat-label">${label}</span>
+        <span class="stat-value ${valueClass}">${value}</span>
+      </div>
+    `;
+
+    switch (name) {
+      case 'mae':
+        return item(TOOLTIPS.mae, 'Mean Abs Error', formatError(statistics.mae));
+      case 'bias':
+        return item(TOOLTIPS.bias, 'Bias', statistics.bias !== null ? this._formatDelta(statistics.bias) + unitLabel : '--',
+          this._getDeltaClass(statistics.bias));
+      case 'accuracy':
+        return item(TOOLTIPS.accuracy(this._getAccuracyThreshold() + unitLabel, variableName),
+          `Accuracy (+/-${this._getAccuracyThreshold()}${unitLabel})`,
+          statistics.accuracy !== null ? statistics.accuracy.toFixed(0) + '%' : '--');
+      case 'trend': {
+        const detail = statistics.trendDetail;
+        return item(TOOLTIPS.trend(this._formatTrendWindow(), this.config.trend_confidence),
+          html`Trend${detail?.slope !== null && detail?.slope !== undefined ? html`<span class="stat-detail">
+            ${this._formatDelta(detail.slope)}${unitLabel}/day, ${detail.confidence.toFixed(0)}% confidence
+          </span>` : ''}`,
+          statistics.trend === 'improving' ? 'Improving' : statistics.trend === 'degrading' ? 'Degrading' : 'Stable',
+          `trend-${statistics.trend}`);
+      }
+      case 'rmse':
+        return item(TOOLTIPS.rmse, 'RMSE', formatError(statistics.rmse));
+      case 'median':
+        return item(TOOLTIPS.median, 'Median Abs Error', formatError(statistics.medianError));
+      case 'p90':
+        return item(TOOLTIPS.percentile(90), '90th Percentile', formatError(statistics.p90));
+      case 'p95':
+        return item(TOOLTIPS.percentile(95), '95th Percentile', formatError(statistics.p95));
+      case 'std_dev':
+        return item(TOOLTIPS.stdDev, 'Std Deviation', formatError(statistics.stdDev));
+      case 'max_error': {
+        const max = statistics.maxError;
+        const when = max ? new Date(max.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : null;
+        return item(TOOLTIPS.maxError, html`Largest Miss${when ? html`<span class="stat-detail">${when}</span>` : ''}`,
+          max ? this._formatDelta(max.delta) + unitLabel : '--', this._getDeltaClass(max?.delta));
+      }
+      default:
+        return '';
+    }
+  }
+
+  // Trend window as "24h" or "7d"
+  _formatTrendWindow() {
+    const hours = this.config.trend_window;
+    return hours >= 48 && hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+  }
+
+  // Sources ranked by MAE; sources without records yet go last
+  _renderLeaderboard(unitLabel, lookahead) {
+    const ranked = this.config.sources
+      .map(source => {
+        const forecast = this._forecasts[source.id]?.current ?? null;
+        return {
+          source,
+          stats: this._statistics?.[source.id],
+          delta: forecast !== null && this._currentActual !== null ? forecast - this._currentActual : null
+        };
+      })
+      .sort((a, b) => (a.stats?.mae ?? Infinity) - (b.stats?.mae ?? Infinity));
+
+    return html`
+      <div class="leaderboard-section">
+        <div class="leaderboard-header">Source Leaderboard</div>
+        <table class="leaderboard" title="${TOOLTIPS.leaderboard}">
+          <tr>
+            <th>#</th>
+            <th style="text-align: left">Source</th>
+            <th>Now</th>
+            <th>MAE</th>
+            ${lookahead > 0 ? html`<th>MAE +${lookahead}h</th>` : ''}
+            <th>Bias</th>
+            <th>Acc.</th>
+            <th>Days Won</th>
+          </tr>
+          ${ranked.map(({ source, stats, delta }, index) => html`
+            <tr class="${index === 0 && stats?.mae !== null && stats?.mae !== undefined ? 'leader' : ''}">
+              <td>${stats?.mae !== null && stats?.mae !== undefined ? index + 1 : '-'}</td>
+              <td class="source-name">
+                <span class="source-swatch" style="background: ${source.color}"></span>${this._getSourceLabel(source)}
+              </td>
+              <td class="${this._getDeltaClass(delta)}">${this._formatDelta(delta)}</td>
+              <td>${stats?.mae !== null && stats?.mae !== undefined ? stats.mae.toFixed(1) + unitLabel : '--'}</td>
+              ${lookahead > 0 ? html`
+                <td>${stats?.lookahead?.mae !== null && stats?.lookahead?.mae !== undefined ? stats.lookahead.mae.toFixed(1) + unitLabel : '--'}</td>
+              ` : ''}
+              <td class="${this._getDeltaClass(stats?.bias)}">${stats?.bias !== null && stats?.bias !== undefined ? this._formatDelta(stats.bias) : '--'}</td>
+              <td>${stats?.accuracy !== null && stats?.accuracy !== undefined ? stats.accuracy.toFixed(0) + '%' : '--'}</td>
+              <td>${stats?.daysWon ?? 0}</td>
+            </tr>
+          `)}
+        </table>
+      </div>
+    `;
+  }
+
+  // Cross-validated effect of the bias correction on the primary source's MAE
+  _renderBiasCorrection(correction, unitLabel) {
+    if (!correction) {
+      return '';
+    }
+
+    const cv = correction.crossValidation;
+    return html`
+      <div class="statistics-subheader">Bias Correction (by hour of day${this.config.bias_correction === 'hour_season' ? ' and season' : ''})</div>
+      ${cv ? html`
+        <div class="stats-grid">
+          <div class="stat-item" title="${TOOLTIPS.correction}">
+            <span class="stat-label">Corrected MAE</span>
+            <span class="stat-value">${cv.correctedMae.toFixed(1) + unitLabel}</span>
+          </div>
+
+          <div class="stat-item" title="${TOOLTIPS.correction}">
+            <span class="stat-label">Improvement</span>
+            <span class="stat-value ${cv.improvement > 0 ? 'trend-improving' : 'trend-degrading'}">
+              ${this._formatDelta(-cv.improvement) + unitLabel} (${cv.improvementPct.toFixed(0)}%)
+            </span>
+          </div>
+        </div>
+      ` : html`
+        <div class="no-data">
+          Cross-validation needs records from at least two days...
+        </div>
+      `}
+    `;
+  }
+
+  // Verified lookahead statistics, shown below the nowcast statistics when lookahead is enabled
+  _renderLookaheadStatistics(stats, unitLabel) {
+    if (!stats) {
+      return '';
+    }
+
+    return html`
+      <div class="statistics-subheader">Verified +${stats.lead}h Forecasts</div>
+      ${stats.recordCount > 0 ? html`
+        <div class="stats-grid">
+          <div class="stat-item" title="${TOOLTIPS.lookahead(stats.lead)}">
+            <span class="stat-label">Mean Abs Error</span>
+            <span class="stat-value">${stats.mae.toFixed(1) + unitLabel}</span>
+          </div>
+
+          <div class="stat-item" title="${TOOLTIPS.lookahead(stats.lead)}">
+            <span class="stat-label">Bias</span>
+            <span class="stat-value ${this._getDeltaClass(stats.bias)}">${this._formatDelta(stats.bias) + unitLabel}</span>
+          </div>
+
+          <div class="stat-item" title="${TOOLTIPS.lookahead(stats.lead)}">
+            <span class="stat-label">Accuracy (+/-${this._getAccuracyThreshold()}${unitLabel})</span>
+            <span class="stat-value">${stats.accuracy.toFixed(0) + '%'}</span>
+          </div>
+
+          <div class="stat-item" title="${TOOLTIPS.lookahead(stats.lead)}">
+            <span class="stat-label">Verified</span>
+            <span class="stat-value">${stats.recordCount}</span>
+          </div>
+        </div>
+      ` : html`
+        <div class="no-data">
+          Waiting for the first +${stats.lead}h forecast to reach its target hour...
+        </div>
+      `}
+    `;
+  }
+
+  // Table of MAE/bias/accuracy per lead time, MAE cells shaded as a heat map
+  _renderLeadTimeMatrix(unitLabel, primaryLabel) {
+    if (this.config.lead_times.length === 0 || !this._statistics) {
+      return '';
+    }
+
+    const groups = this.config.sources
+      .map((source, index) => ({
+        label: index === 0 ? primaryLabel : this._getSourceLabel(source),
+        rows: this._statistics[source.id]?.leadTimes
+      }))
+      .filter(g => g.rows);
+
+    const maes = groups.flatMap(g => g.rows.map(r => r.mae)).filter(v => v !== null);
+    const minMae = Math.min(...maes);
+    const maxMae = Math.max(...maes);
+
+    return html`
+      <div class="statistics-section">
+        <div class="statistics-header">Accuracy by Lead Time</div>
+        <table class="lead-matrix" title="${TOOLTIPS.leadMatrix}">
+          ${groups.length > 1 ? html`
+            <tr>
+              <th></th>
+              ${groups.map(g => html`<th colspan="4">${g.label}</th>`)}
+            </tr>
+          ` : ''}
+          <tr>
+            <th>Lead</th>
+            ${groups.map(() => html`<th>MAE</th><th>Bias</th><th>Acc.</th><th>N</th>`)}
+          </tr>
+          ${this.config.lead_times.map((lead, i) => html`
+            <tr>
+              <td class="lead-label">${lead === 0 ? 'Now' : `+${lead}h`}</td>
+              ${groups.map(g => {
+                const row = g.rows[i];
+                return html`
+                  <td style="background: ${this._getHeatColor(row.mae, minMae, maxMae)}">
+                    ${row.mae !== null ? row.mae.toFixed(1) + unitLabel : '--'}
+                  </td>
+                  <td class="${this._getDeltaClass(row.bias)}">${row.bias !== null ? this._formatDelta(row.bias) : '--'}</td>
+                  <td>${row.accuracy !== null ? row.accuracy.toFixed(0) + '%' : '--'}</td>
+                  <td>${row.recordCount}</td>
+                `;
+              })}
+            </tr>
+          `)}
+        </table>
+      </div>
+    `;
+  }
+
+  // Skill scores per lead time, a persistence and a climatology column per source
+  _renderSkillScores(primaryLabel) {
+    if (!this.config.skill_scores || !this._statistics) {
+      return '';
+    }
+
+    const groups = this.config.sources
+      .map((source, index) => ({
+        label: index === 0 ? primaryLabel : this._getSourceLabel(source),
+        rows: this._statistics[source.id]?.skill
+      }))
+      .filter(g => g.rows);
+    if (groups.length === 0) {
+      return '';
+    }
+
+    const formatSkill = (score) => score?.skill !== null && score?.skill !== undefined
+      ? html`<span class="${score.skill > 0 ? 'trend-improving' : 'trend-degrading'}">${score.skill.toFixed(2)}</span>`
+      : '--';
+
+    return html`
+      <div class="statistics-section">
+        <div class="statistics-header">Forecast Skill</div>
+        <table class="lead-matrix" title="${TOOLTIPS.skill}">
+          ${groups.length > 1 ? html`
+            <tr>
+              <th></th>
+              ${groups.map(g => html`<th colspan="3">${g.label}</th>`)}
+            </tr>
+          ` : ''}
+          <tr>
+            <th>Lead</th>
+            ${groups.map(() => html`<th>vs Persistence</th><th>vs Climatology</th><th>N</th>`)}
+          </tr>
+          ${groups[0].rows.map((row, i) => html`
+            <tr>
+              <td class="lead-label">${row.lead === 0 ? 'Now' : `+${row.lead}h`}</td>
+              ${groups.map(g => html`
+                <td>${formatSkill(g.rows[i].persistence)}</td>
+                <td>${formatSkill(g.rows[i].climatology)}</td>
+                <td>${Math.max(g.rows[i].persistence?.count || 0, g.rows[i].climatology?.count || 0)}</td>
+              `)}
+            </tr>
+          `)}
+        </table>
+      </div>
+    `;
+  }
+
+  // Accuracy by weather regime: a row per band, MAE/bias/count per source. MAE cells are shaded
+  // within each source so the conditions it handles worst stand out.
+  _renderConditionBreakdown(unitLabel, primaryLabel) {
+    if (!this.config.condition_breakdown || !this._statistics) {
+      return '';
+    }
+
+    const groups = this.config.sources
+      .map((source, index) => {
+        const breakdown = this._statistics[source.id]?.conditions;
+        const maes = (breakdown || []).flatMap(b => b.bands.map(band => band.mae)).filter(v => v !== null);
+        return {
+          label: index === 0 ? primaryLabel : this._getSourceLabel(source),
+          breakdown,
+          minMae: Math.min(...maes),
+          maxMae: Math.max(...maes)
+        };
+      })
+      .filter(g => g.breakdown);
+    if (groups.length === 0) {
+      return '';
+    }
+
+    return html`
+      <div class="statistics-section">
+        <div class="statistics-header">Accuracy by Conditions</div>
+        ${groups.every(g => g.breakdown.every(b => b.bands.every(band => band.count === 0))) ? html`
+          <div class="no-data">
+            Waiting for comparisons with weather conditions...
+          </div>
+        ` : html`
+          <table class="lead-matrix" title="${TOOLTIPS.conditions}">
+            ${groups.length > 1 ? html`
+              <tr>
+                <th></th>
+                ${groups.map(g => html`<th colspan="3">${g.label}</th>`)}
+              </tr>
+            ` : ''}
+            <tr>
+              <th></th>
+              ${groups.map(() => html`<th>MAE</th><th>Bias</th><th>N</th>`)}
+            </tr>
+            ${groups[0].breakdown.map((breakdown, i) => html`
+              <tr>
+                <td class="lead-label" colspan="${1 + groups.length * 3}"><b>${breakdown.name}</b></td>
+              </tr>
+              ${breakdown.bands.map((band, j) => html`
+                <tr>
+                  <td class="lead-label">${band.label}</td>
+                  ${groups.map(g => {
+                    const row = g.breakdown[i].bands[j];
+                    return html`
+                      <td style="background: ${this._getHeatColor(row.mae, g.minMae, g.maxMae)}">
+                        ${row.mae !== null ? row.mae.toFixed(1) + unitLabel : '--'}
+                      </td>
+                      <td class="${this._getDeltaClass(row.bias)}">${row.bias !== null ? this._formatDelta(row.bias) : '--'}</td>
+                      <td>${row.count}</td>
+                    `;
+                  })}
+                </tr>
+              `)}
+            `)}
+          </table>
+        `}
+      </div>
+    `;
+  }
+
+  // Daily high/low: summary per source, then the primary source's verified days
+  _renderHighLowVerification(unitLabel, primaryLabel) {
+    if (this.config.daily_issue_hour === null || !this._statistics) {
+      return '';
+    }
+
+    const rows = this.config.sources
+      .map((source, index) => ({
+        label: index === 0 ? primaryLabel : this._getSourceLabel(source),
+        stats: this._statistics[source.id]?.highLow
+      }))
+      .filter(row => row.stats);
+    const primaryDays = rows[0]?.stats.days || [];
+    const formatMae = (value) => value !== null ? value.toFixed(1) + unitLabel : '--';
+    const formatBias = (value) => value !== null ? this._formatDelta(value) : '--';
+    const formatTemp = (value) => value !== null ? value.toFixed(1) : '--';
+
+    return html`
+      <div class="statistics-section">
+        <div class="statistics-header">Daily High/Low</div>
+        ${rows.every(row => row.stats.dayCount === 0) ? html`
+          <div class="no-data">
+            Waiting for the first day to finish (forecast captured at ${String(this.config.daily_issue_hour).padStart(2, '0')}:00)...
+          </div>
+        ` : html`
+          <table class="lead-matrix" title="${TOOLTIPS.highLow(this.config.daily_issue_hour)}">
+            <tr>
+              <th></th>
+              <th>High MAE</th><th>High Bias</th><th>Low MAE</th><th>Low Bias</th><th>Days</th>
+            </tr>
+            ${rows.map(row => html`
+              <tr>
+                <td class="lead-label">${row.label}</td>
+                <td>${formatMae(row.stats.high.mae)}</td>
+                <td class="${this._getDeltaClass(row.stats.high.bias)}">${formatBias(row.stats.high.bias)}</td>
+                <td>${formatMae(row.stats.low.mae)}</td>
+                <td class="${this._getDeltaClass(row.stats.low.bias)}">${formatBias(row.stats.low.bias)}</td>
+                <td>${row.stats.dayCount}</td>
+              </tr>
+            `)}
+          </table>
+
+          ${primaryDays.length > 0 ? html`
+            <table class="lead-matrix">
+              <tr>
+                <th>${rows.length > 1 ? primaryLabel : 'Day'}</th>
+                <th>High</th><th>Obs.</th><th>Delta</th>
+                <th>Low</th><th>Obs.</th><th>Delta</th>
+              </tr>
+              ${primaryDays.map(day => html`
+                <tr>
+                  <td class="lead-label">${day.date}</td>
+                  <td>${formatTemp(day.forecast_high)}</td>
+                  <td>${formatTemp(day.observed_high)}</td>
+                  <td class="${this._getDeltaClass(day.high_delta)}">${this._formatDelta(day.high_delta)}</td>
+                  <td>${formatTemp(day.forecast_low)}</td>
+                  <td>${formatTemp(day.observed_low)}</td>
+                  <td class="${this._getDeltaClass(day.low_delta)}">${this._formatDelta(day.low_delta)}</td>
+                </tr>
+              `)}
+            </table>
+          ` : ''}
+        `}
+      </div>
+    `;
+  }
+
+  // Collapsed export/import controls, one row per source
+  _renderDataTools(primaryLabel) {
+    return html`
+      <details class="data-tools">
+        <summary>Export / Import</summary>
+        ${this.config.sources.map((source, index) => html`
+          <div class="data-tools-row">
+            <span class="data-tools-label">${index === 0 ? primaryLabel : this._getSourceLabel(source)}</span>
+            <button @click=${() => this._exportHistory(source, 'csv')}>CSV</button>
+            <button @click=${() => this._exportHistory(source, 'json')}>JSON</button>
+            <label class="data-tools-import">
+              Import
+              <input type="file" accept=".csv,.json" hidden @change=${(e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this._importHistory(source, file);
+              }}>
+            </label>
+          </div>
+        `)}
+        ${this._dataMessage ? html`<div class="data-tools-message">${this._dataMessage}</div>` : ''}
+      </details>
+    `;
+  }
+
+  // Precipitation probability scores per source, with the reliability diagram below
+  _renderPrecipitationVerification(primaryLabel) {
+    if (!this.config.precipitation_sensor || !this._statistics) {
+      return '';
+    }
+
+    const rows = this.config.sources
+      .map((source, index) => ({
+        label: index === 0 ? primaryLabel : this._getSourceLabel(source),
+        stats: this._statistics[source.id]?.precipitation
+      }))
+      .filter(row => row.stats);
+    const formatPct = (value) => value !== null ? value.toFixed(0) + '%' : '--';
+
+    return html`
+      <div class="statistics-section">
+        <div class="statistics-header">Precipitation Probability</div>
+        ${rows.every(row => row.stats.count === 0) ? html`
+          <div class="no-data">
+            Waiting for the first forecast hour to finish...
+          </div>
+        ` : html`
+          <table class="lead-matrix" title="${TOOLTIPS.precipitation}">
+            <tr>
+              <th></th>
+              <th>Brier</th><th>Hit Rate</th><th>False Alarms</th><th>Rain Hours</th><th>Hours</th>
+            </tr>
+            ${rows.map(row => html`
+              <tr>
+                <td class="lead-label">${row.label}</td>
+                <td>${row.stats.brier !== null ? row.stats.brier.toFixed(3) : '--'}</td>
+                <td>${formatPct(row.stats.hitRate)}</td>
+                <td>${formatPct(row.stats.falseAlarmRate)}</td>
+                <td>${row.stats.rainCount}</td>
+                <td>${row.stats.count}</td>
+              </tr>
+            `)}
+          </table>
+
+          ${this.config.show_chart && this._chartReady ? html`
+            <div class="chart-container" title="${TOOLTIPS.reliability}">
+              <div id="reliability-chart"></div>
+            </div>
+          ` : ''}
+        `}
+      </div>
+    `;
+  }
+
+  // Reliability diagram: observed rain frequency against forecast probability, one line per source
+  _renderReliabilityChart() {
+    const chartContainer = this.shadowRoot?.querySelector('#reliability-chart');
+    if (!chartContainer || !window.ApexCharts) {
+      this._destroyReliabilityChart();
+      return;
+    }
+
+    const series = this.config.sources
+      .filter(source => this._statistics[source.id]?.precipitation?.count > 0)
+      .map(source => ({
+        name: this._getSourceLabel(source),
+        data: this._statistics[source.id].precipitation.reliability.map(bin => ({
+          x: Math.round(bin.forecast),
+          y: Math.round(bin.observed)
+        })),
+        color: source.color
+      }));
+    series.push({
+      name: 'Perfect',
+      data: [{ x: 0, y: 0 }, { x: 100, y: 100 }],
+      color: '#9E9E9E'
+    });
+
+    const computedStyle = getComputedStyle(this);
+    const textColor = computedStyle.getPropertyValue('--primary-text-color').trim() || '#333';
+    const secondaryTextColor = computedStyle.getPropertyValue('--secondary-text-color').trim() || '#666';
+    const dividerColor = computedStyle.getPropertyValue('--divider-color').trim() || '#e0e0e0';
+    const axisLabels = {
+      style: {
+        colors: secondaryTextColor,
+        fontSize: '11px'
+      },
+      formatter: (value) => `${Math.round(value)}%`
+    };
+    const axisTitle = (text) => ({
+      text,
+      style: {
+        color: secondaryTextColor,
+        fontSize: '11px',
+        fontWeight: 400
+      }
+    });
+
+    const options = {
+      chart: {
+        type: 'line',
+        height: this.config.chart_height,
+        fontFamily: 'inherit',
+        background: 'transparent',
+        toolbar: {
+          show: false
+        },
+        zoom: {
+          enabled: false
+        },
+        animations: {
+          enabled: false
+        }
+      },
+      series: series,
+      stroke: {
+        curve: 'straight',
+        width: 2,
+        dashArray: series.map(s => s.name === 'Perfect' ? 4 : 0)
+      },
+      markers: {
+        size: series.map(s => s.name === 'Perfect' ? 0 : 4)
+      },
+      xaxis: {
+        type: 'numeric',
+        min: 0,
+        max: 100,
+        tickAmount: 5,
+        labels: axisLabels,
+        title: axisTitle('Forecast probability'),
+        axisTicks: {
+          show: false
+        }
+      },
+      yaxis: {
+        min: 0,
+        max: 100,
+        tickAmount: 5,
+        labels: axisLabels,
+        title: axisTitle('Observed frequency')
+      },
+      grid: {
+        borderColor: dividerColor,
+        strokeDashArray: 3
+      },
+      tooltip: {
+        theme: 'dark',
+        x: {
+          formatter: (value) => `Forecast ${value}%`
+        },
+        y: {
+          formatter: (value) => `${value}% rain`
+        }
+      },
+      legend: {
+        position: 'top',
+        horizontalAlign: 'center',
+        labels: {
+          colors: textColor
+        },
+        markers: {
+          width: 10,
+          height: 10,
+          radius: 2
+        }
+      }
+    };
+
+    this._destroyReliabilityChart();
+    this._reliabilityChart = new window.ApexCharts(chartContainer, options);
+    this._reliabilityChart.render();
+  }
 
-        <div class="source-info">
-          ${source}${lookahead > 0 ? ` (${lookahead}h lookahead)` : ''} | ${this._statistics?.recordCount || 0} comparisons | ${this.config.history_days} day history
-          <br>
-          Charting from ApexCharts
-        </div>
-      </ha-card>
-    `;
+  // Green (best) to red (worst) cell background for heat-map tables
+  _getHeatColor(value, min, max) {
+    if (value === null || !isFinite(min) || !isFinite(max)) return 'transparent';
+    const ratio = max > min ? (value - min) / (max - min) : 0;
+    return `hsla(${Math.round(120 - ratio * 120)}, 70%, 45%, 0.25)`;
   }
 
   getCardSize() {
@@ -1583,6 +5426,10 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
         margin: 0 0 12px 0;
       }
 
+      .helper-text.warning {
+        color: var(--warning-color, #ff9800);
+      }
+
       .source-toggle {
         display: flex;
         gap: 8px;
@@ -1600,20 +5447,46 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
         font-size: 14px;
       }
 
-      .source-toggle button.active {
-        background: var(--primary-color);
-        color: var(--text-primary-color, #fff);
-        border-color: var(--primary-color);
+      .source-toggle button:hover {
+        background: var(--secondary-background-color);
+      }
+
+      .source-entry {
+        padding: 12px;
+        margin-bottom: 12px;
+        border: 1px solid var(--divider-color);
+        border-radius: 8px;
       }
 
-      .source-toggle button:hover:not(.active) {
-        background: var(--secondary-background-color);
+      .source-entry-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 12px;
+        font-size: 14px;
+        font-weight: 500;
+        color: var(--primary-text-color);
+      }
+
+      .source-entry-header .source-swatch {
+        width: 12px;
+        height: 12px;
+        border-radius: 2px;
       }
 
-      .coordinates-row {
+      .source-entry-header .source-title {
+        flex: 1;
+      }
+
+      .source-entry-header ha-icon {
+        cursor: pointer;
+        color: var(--secondary-text-color);
+      }
+
+      .source-fields {
         display: grid;
         grid-template-columns: 1fr 1fr;
-        gap: 12px;
+        gap: 0 12px;
       }
     `;
   }
@@ -1647,35 +5520,71 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
     this._fireConfigChanged(newConfig);
   }
 
-  // Returns 'openmeteo' or 'tempest'
-  _getSourceType() {
-    // Check if property exists (not just truthy, since empty string is valid during editing)
-    if ('tempest_api_key' in (this._config || {}) || 'tempest_station_id' in (this._config || {})) {
-      return 'tempest';
+  // A unit picked for the previous variable doesn't apply to the new one
+  _variableChanged(variable) {
+    const newConfig = { ...this._config };
+    delete newConfig.unit;
+    if (variable && variable !== 'temperature') {
+      newConfig.variable = variable;
+    } else {
+      delete newConfig.variable;
     }
-    return 'openmeteo';
+    this._config = newConfig;
+    this._fireConfigChanged(newConfig);
   }
 
-  _setSourceType(sourceType) {
+  // Editable copy of the source list (legacy top-level options are converted)
+  _getSources() {
+    return buildSourceList(this._config || {}).map(source => ({ ...source }));
+  }
+
+  // Write the source list back as `sources`, replacing any legacy top-level options
+  _updateSources(sources) {
     const newConfig = { ...this._config };
+    for (const key of LEGACY_SOURCE_OPTIONS) {
+      delete newConfig[key];
+    }
+    newConfig.sources = sources;
 
-    // Clear all source-specific fields first
-    delete newConfig.latitude;
-    delete newConfig.longitude;
-    delete newConfig.tempest_api_key;
-    delete newConfig.tempest_station_id;
+    this._config = newConfig;
+    this._fireConfigChanged(newConfig);
+  }
 
-    if (sourceType === 'tempest') {
-      newConfig.tempest_api_key = '';
-      newConfig.tempest_station_id = '';
+  _sourceValueChanged(index, key, value) {
+    const sources = this._getSources();
+    if (value === '' || value === undefined) {
+      delete sources[index][key];
     } else {
-      // Open-Meteo
-      newConfig.latitude = 0;
-      newConfig.longitude = 0;
+      sources[index][key] = value;
     }
+    this._updateSources(sources);
+  }
 
-    this._config = newConfig;
-    this._fireConfigChanged(newConfig);
+  _addSource(type) {
+    const source = { type };
+    if (type === 'openmeteo' || type === 'nws') {
+      // Default to the Home Assistant home location
+      source.latitude = this.hass?.config?.latitude ?? 0;
+      source.longitude = this.hass?.config?.longitude ?? 0;
+    } else {
+      for (const field of FORECAST_SOURCES[type].fields.filter(f => f.type !== 'object')) {
+        source[field.name] = '';
+      }
+    }
+    this._updateSources([...this._getSources(), source]);
+  }
+
+  _removeSource(index) {
+    const sources = this._getSources();
+    sources.splice(index, 1);
+    this._updateSources(sources);
+  }
+
+  // Moving a source to the top makes it the primary source
+  _moveSourceUp(index) {
+    const sources = this._getSources();
+    [sources[index - 1], sources[index]] = [sources[index], sources[index - 1]];
+    this._updateSources(sources);
   }
 
   render() {
@@ -1683,12 +5592,10 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
       return html``;
     }
 
-    const sourceType = this._getSourceType();
-
     return html`
       <div class="card-config">
         ${this._renderBasicSettings()}
-        ${this._renderDataSource(sourceType)}
+        ${this._renderDataSources()}
         ${this._renderDisplayOptions()}
         ${this._renderAdvancedSettings()}
       </div>
@@ -1696,132 +5603,173 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
   }
 
   _renderBasicSettings() {
+    const variable = VARIABLES[this._config.variable] || VARIABLES.temperature;
+    // Keep editing whichever sensor option the config already uses
+    const sensorKey = this._config.sensor !== undefined ? 'sensor' : 'temperature_sensor';
+
     return html`
       <div class="section">
         <h3>Basic Settings</h3>
 
         <ha-textfield
           label="Card Title"
-          .value=${this._config.title || 'Forecast Temperature Accuracy'}
+          .value=${this._config.title || `Forecast ${variable.name} Accuracy`}
           @input=${(e) => this._valueChanged('title', e.target.value)}
         ></ha-textfield>
 
         <ha-selector
           .hass=${this.hass}
-          .selector=${{ entity: { domain: 'sensor', device_class: 'temperature' } }}
-          .value=${this._config.temperature_sensor || ''}
-          .label=${'Temperature Sensor'}
+          .selector=${{ select: { mode: 'dropdown', options: Object.entries(VARIABLES).map(([value, v]) => ({ value, label: v.name })) } }}
+          .value=${this._config.variable || 'temperature'}
+          .label=${'Variable'}
+          @value-changed=${(e) => this._variableChanged(e.detail.value)}
+        ></ha-selector>
+
+        <ha-selector
+          .hass=${this.hass}
+          .selector=${{ entity: { domain: 'sensor', device_class: variable.deviceClass } }}
+          .value=${this._config[sensorKey] || ''}
+          .label=${`${variable.name} Sensor`}
           .required=${true}
-          @value-changed=${(e) => this._valueChanged('temperature_sensor', e.detail.value)}
+          @value-changed=${(e) => this._valueChanged(sensorKey, e.detail.value)}
         ></ha-selector>
-        <p class="helper-text">Select the sensor that measures actual outdoor temperature</p>
+        <p class="helper-text">Select the sensor that measures the actual outdoor ${variable.name.toLowerCase()}</p>
       </div>
     `;
   }
 
-  _renderDataSource(sourceType) {
-    const hasComparison = this._config?.latitude !== undefined && this._config?.longitude !== undefined;
+  _renderDataSources() {
+    const sources = this._getSources();
 
     return html`
       <div class="section">
-        <h3>Forecast Source</h3>
+        <h3>Forecast Sources</h3>
+        <p class="helper-text">The first source is primary. Every source gets its own history, statistics and chart line.</p>
+
+        ${sources.map((source, index) => this._renderSourceEntry(source, index))}
 
         <div class="source-toggle">
-          <button
-            class=${sourceType === 'openmeteo' ? 'active' : ''}
-            @click=${() => this._setSourceType('openmeteo')}
-          >
-            Open-Meteo
-          </button>
-          <button
-            class=${sourceType === 'tempest' ? 'active' : ''}
-            @click=${() => this._setSourceType('tempest')}
-          >
-            Tempest
-          </button>
+          ${Object.entries(FORECAST_SOURCES).map(([type, adapter]) => html`
+            <button @click=${() => this._addSource(type)}>+ ${adapter.name}</button>
+          `)}
+        </div>
+      </div>
+    `;
+  }
+
+  _renderSourceEntry(source, index) {
+    const adapter = FORECAST_SOURCES[source.type];
+    if (!adapter) {
+      return html`
+        <div class="source-entry">
+          <div class="source-entry-header">
+            <span class="source-title">Unknown source type: ${source.type}</span>
+            <ha-icon icon="mdi:delete" title="Remove source" @click=${() => this._removeSource(index)}></ha-icon>
+          </div>
+        </div>
+      `;
+    }
+
+    const color = source.color || SOURCE_COLORS[index % SOURCE_COLORS.length];
+
+    return html`
+      <div class="source-entry">
+        <div class="source-entry-header">
+          <span class="source-swatch" style="background: ${color}"></span>
+          <span class="source-title">${adapter.name}${index === 0 ? ' (primary)' : ''}</span>
+          ${index > 0 ? html`
+            <ha-icon icon="mdi:arrow-up" title="Move up" @click=${() => this._moveSourceUp(index)}></ha-icon>
+          ` : ''}
+          <ha-icon icon="mdi:delete" title="Remove source" @click=${() => this._removeSource(index)}></ha-icon>
         </div>
 
-        ${sourceType === 'tempest' ? html`
+        ${adapter.fields.map(field => this._renderSourceField(source, index, field))}
+
+        <div class="source-fields">
           <ha-textfield
-            label="Tempest API Key"
-            type="password"
-            .value=${this._config.tempest_api_key || ''}
-            @input=${(e) => this._valueChanged('tempest_api_key', e.target.value)}
+            label="Label (optional)"
+            .value=${source.label || ''}
+            @input=${(e) => this._sourceValueChanged(index, 'label', e.target.value)}
           ></ha-textfield>
 
           <ha-textfield
-            label="Tempest Station ID"
-            .value=${this._config.tempest_station_id || ''}
-            @input=${(e) => this._valueChanged('tempest_station_id', e.target.value)}
+            label="Color (optional)"
+            .value=${source.color || ''}
+            placeholder=${color}
+            @input=${(e) => this._sourceValueChanged(index, 'color', e.target.value)}
           ></ha-textfield>
-          <p class="helper-text">Enter your Tempest API key and station ID from tempestwx.com</p>
-
-          <div class="toggle-row" style="margin-top: 16px;">
-            <label>Compare with Open-Meteo</label>
-            <ha-switch
-              .checked=${hasComparison}
-              @change=${(e) => this._toggleComparison(e.target.checked)}
-            ></ha-switch>
-          </div>
-
-          ${hasComparison ? html`
-            <div class="coordinates-row" style="margin-top: 12px;">
-              <ha-textfield
-                label="Latitude"
-                type="number"
-                step="0.0001"
-                .value=${this._config.latitude ?? ''}
-                @input=${(e) => this._valueChanged('latitude', e.target.value ? parseFloat(e.target.value) : undefined)}
-              ></ha-textfield>
-
-              <ha-textfield
-                label="Longitude"
-                type="number"
-                step="0.0001"
-                .value=${this._config.longitude ?? ''}
-                @input=${(e) => this._valueChanged('longitude', e.target.value ? parseFloat(e.target.value) : undefined)}
-              ></ha-textfield>
-            </div>
-            <p class="helper-text">Coordinates for Open-Meteo comparison</p>
-          ` : ''}
-        ` : html`
-          <div class="coordinates-row">
-            <ha-textfield
-              label="Latitude"
-              type="number"
-              step="0.0001"
-              .value=${this._config.latitude ?? ''}
-              @input=${(e) => this._valueChanged('latitude', e.target.value ? parseFloat(e.target.value) : undefined)}
-            ></ha-textfield>
-
-            <ha-textfield
-              label="Longitude"
-              type="number"
-              step="0.0001"
-              .value=${this._config.longitude ?? ''}
-              @input=${(e) => this._valueChanged('longitude', e.target.value ? parseFloat(e.target.value) : undefined)}
-            ></ha-textfield>
-          </div>
-          <p class="helper-text">Enter coordinates for Open-Meteo forecast data</p>
-        `}
+        </div>
       </div>
     `;
   }
 
-  _toggleComparison(enabled) {
-    const newConfig = { ...this._config };
-    if (enabled) {
-      newConfig.latitude = 0;
-      newConfig.longitude = 0;
-    } else {
-      delete newConfig.latitude;
-      delete newConfig.longitude;
+  _renderSourceField(source, index, field) {
+    if (field.type === 'select') {
+      return html`
+        <ha-selector
+          .hass=${this.hass}
+          .selector=${{ select: { mode: 'dropdown', options: field.options } }}
+          .value=${source[field.name] || field.options[0].value}
+          .label=${field.label}
+          @value-changed=${(e) => this._sourceValueChanged(index, field.name, e.detail.value)}
+        ></ha-selector>
+      `;
     }
-    this._config = newConfig;
-    this._fireConfigChanged(newConfig);
+
+    if (field.type === 'entity') {
+      return html`
+        <ha-selector
+          .hass=${this.hass}
+          .selector=${{ entity: { domain: field.domain } }}
+          .value=${source[field.name] || ''}
+          .label=${field.label}
+          @value-changed=${(e) => this._sourceValueChanged(index, field.name, e.detail.value)}
+        ></ha-selector>
+      `;
+    }
+
+    // Name/value pairs, edited as YAML
+    if (field.type === 'object') {
+      return html`
+        <ha-selector
+          .hass=${this.hass}
+          .selector=${{ object: {} }}
+          .value=${source[field.name] || {}}
+          .label=${field.label}
+          @value-changed=${(e) => this._sourceValueChanged(index, field.name,
+            e.detail.value && Object.keys(e.detail.value).length > 0 ? e.detail.value : undefined)}
+        ></ha-selector>
+      `;
+    }
+
+    if (field.type === 'number') {
+      return html`
+        <ha-textfield
+          label=${field.label}
+          type="number"
+          step="0.0001"
+          .value=${source[field.name] ?? ''}
+          @input=${(e) => this._sourceValueChanged(index, field.name, e.target.value ? parseFloat(e.target.value) : undefined)}
+        ></ha-textfield>
+      `;
+    }
+
+    return html`
+      <ha-textfield
+        label=${field.label}
+        type=${field.type === 'password' ? 'password' : 'text'}
+        .value=${source[field.name] || ''}
+        @input=${(e) => this._sourceValueChanged(index, field.name, e.target.value)}
+      ></ha-textfield>
+    `;
   }
 
   _renderDisplayOptions() {
+    const variable = VARIABLES[this._config.variable] || VARIABLES.temperature;
+    const unitOptions = variable.kind === 'temperature'
+      ? [{ value: 'C', label: 'Celsius' }, { value: 'F', label: 'Fahrenheit' }]
+      : Object.keys(UNIT_FACTORS[variable.kind]).map(unit => ({ value: unit, label: unit }));
+
     return html`
       <div class="section">
         <h3>Display Options</h3>
@@ -1829,15 +5777,41 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
         <ha-selector
           .hass=${this.hass}
           .selector=${{ select: { options: [
-            { value: '', label: 'Auto (from HA settings)' },
-            { value: 'C', label: 'Celsius' },
-            { value: 'F', label: 'Fahrenheit' }
+            { value: '', label: variable.kind === 'temperature' ? 'Auto (from HA settings)' : 'Auto (from the sensor)' },
+            ...unitOptions
           ]}}}
           .value=${this._config.unit || ''}
-          .label=${'Temperature Unit'}
+          .label=${`${variable.name} Unit`}
           @value-changed=${(e) => this._valueChanged('unit', e.detail.value || null)}
         ></ha-selector>
 
+        <ha-textfield
+          label="Accuracy Threshold"
+          .value=${this._config.accuracy_threshold ?? ''}
+          placeholder=${variable.kind === 'temperature' ? `${variable.threshold} °C` : `${variable.threshold} ${Object.keys(UNIT_FACTORS[variable.kind])[0]}`}
+          @change=${(e) => this._valueChanged('accuracy_threshold', this._parseThresholdInput(e.target.value))}
+        ></ha-textfield>
+        <p class="helper-text">Forecasts within this of the actual reading count as accurate. A number uses the display unit; add a unit to fix the band whatever unit is shown, e.g. "1.5 °C" or "3 mph".</p>
+
+        <ha-selector
+          .hass=${this.hass}
+          .selector=${{ select: { multiple: true, mode: 'list', options: [
+            { value: 'mae', label: 'Mean absolute error' },
+            { value: 'bias', label: 'Bias' },
+            { value: 'accuracy', label: 'Accuracy' },
+            { value: 'trend', label: 'Trend' },
+            { value: 'rmse', label: 'RMSE' },
+            { value: 'median', label: 'Median absolute error' },
+            { value: 'p90', label: '90th percentile error' },
+            { value: 'p95', label: '95th percentile error' },
+            { value: 'std_dev', label: 'Standard deviation' },
+            { value: 'max_error', label: 'Largest miss' }
+          ]}}}
+          .value=${this._config.stats || DEFAULT_STATISTICS}
+          .label=${'Statistics'}
+          @value-changed=${(e) => this._valueChanged('stats', e.detail.value?.length ? e.detail.value : undefined)}
+        ></ha-selector>
+
         <div class="toggle-row">
           <label>Show History Chart</label>
           <ha-switch
@@ -1847,6 +5821,17 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
         </div>
 
         ${this._config.show_chart !== false ? html`
+          <ha-selector
+            .hass=${this.hass}
+            .selector=${{ select: { mode: 'dropdown', options: [
+              { value: 'history', label: 'History (forecast vs actual)' },
+              { value: 'diurnal', label: 'Time of day (error by hour)' }
+            ]}}}
+            .value=${this._config.chart_view || 'history'}
+            .label=${'Default Chart View'}
+            @value-changed=${(e) => this._valueChanged('chart_view', e.detail.value === 'history' ? undefined : e.detail.value)}
+          ></ha-selector>
+
           <ha-textfield
             label="Chart Height (pixels)"
             type="number"
@@ -1860,7 +5845,24 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
     `;
   }
 
+  // Plain numbers are stored as numbers; anything with a unit stays a string
+  _parseThresholdInput(value) {
+    const text = value.trim();
+    if (!text) {
+      return undefined;
+    }
+    return /^\d+(\.\d+)?$/.test(text) ? Number(text) : text;
+  }
+
+  _parseLeadTimesInput(value) {
+    const hours = value.split(',')
+      .map(v => parseInt(v, 10))
+      .filter(v => !isNaN(v));
+    return hours.length > 0 ? hours : undefined;
+  }
+
   _renderAdvancedSettings() {
+    const maxHistoryDays = HISTORY_STORAGES[this._config.storage || 'local']?.maxHistoryDays || MAX_HISTORY_DAYS;
     return html`
       <div class="section">
         <h3>Advanced Settings</h3>
@@ -1873,17 +5875,55 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
           .value=${this._config.forecast_lookahead ?? 0}
           @input=${(e) => this._valueChanged('forecast_lookahead', e.target.value ? parseInt(e.target.value) : 0)}
         ></ha-textfield>
-        <p class="helper-text">Hours ahead for chart display (0 = current). Chart shows forecast X hours ahead to visualize trend alignment. Comparisons and statistics always use current values.</p>
+        <p class="helper-text">Hours ahead to forecast (0 = current). The chart shows the forecast X hours ahead, and each lookahead forecast is scored against the sensor once its target hour arrives.</p>
+
+        <ha-textfield
+          label="Lead Times (hours)"
+          .value=${Array.isArray(this._config.lead_times) ? this._config.lead_times.join(', ') : (this._config.lead_times || '')}
+          @change=${(e) => this._valueChanged('lead_times', this._parseLeadTimesInput(e.target.value))}
+        ></ha-textfield>
+        <p class="helper-text">Comma-separated lead times for the accuracy matrix, e.g. 0, 1, 3, 6, 12, 24, 48 (max 48). Leave empty to hide the matrix.</p>
+
+        <ha-textfield
+          label="Daily High/Low Issue Hour"
+          type="number"
+          min="0"
+          max="23"
+          .value=${this._config.daily_issue_hour ?? ''}
+          @input=${(e) => this._valueChanged('daily_issue_hour', e.target.value !== '' ? parseInt(e.target.value) : undefined)}
+        ></ha-textfield>
+        <p class="helper-text">Hour (0-23) at which each day's forecast high and low are captured, e.g. 6. They are scored against the sensor's max/min until midnight. Leave empty to turn off.</p>
 
         <ha-textfield
           label="History Days"
           type="number"
           min="1"
-          max="30"
+          max=${maxHistoryDays}
           .value=${this._config.history_days ?? DEFAULT_HISTORY_DAYS}
           @input=${(e) => this._valueChanged('history_days', e.target.value ? parseInt(e.target.value) : DEFAULT_HISTORY_DAYS)}
         ></ha-textfield>
-        <p class="helper-text">Days of history to retain for statistics (1-30)</p>
+        <p class="helper-text">Days of history to retain for statistics (1-${maxHistoryDays}${maxHistoryDays < HISTORY_STORAGES.indexeddb.maxHistoryDays ? `, up to ${HISTORY_STORAGES.indexeddb.maxHistoryDays} with IndexedDB storage` : ''})</p>
+        ${this._config.history_days > maxHistoryDays ? html`
+          <p class="helper-text warning">Only ${maxHistoryDays} days are kept with this storage${maxHistoryDays < HISTORY_STORAGES.indexeddb.maxHistoryDays ? '; switch to IndexedDB storage to keep more' : ''}.</p>
+        ` : ''}
+
+        <ha-textfield
+          label="Raw Records (days)"
+          type="number"
+          min="1"
+          .value=${this._config.raw_days ?? DEFAULT_RAW_DAYS}
+          @input=${(e) => this._valueChanged('raw_days', e.target.value ? parseInt(e.target.value) : undefined)}
+        ></ha-textfield>
+        <p class="helper-text">Older records are kept as daily totals; only matters when history days is longer</p>
+
+        <ha-textfield
+          label="Daily Aggregates (days)"
+          type="number"
+          min="1"
+          .value=${this._config.daily_days ?? DEFAULT_DAILY_DAYS}
+          @input=${(e) => this._valueChanged('daily_days', e.target.value ? parseInt(e.target.value) : undefined)}
+        ></ha-textfield>
+        <p class="helper-text">Daily totals older than this are combined into monthly totals</p>
 
         <ha-textfield
           label="Refresh Interval (minutes)"
@@ -1894,6 +5934,128 @@ class ForecastTemperatureAccuracyCardEditor extends LitElement {
           @input=${(e) => this._valueChanged('refresh_interval', e.target.value ? parseInt(e.target.value) : DEFAULT_REFRESH_INTERVAL)}
         ></ha-textfield>
         <p class="helper-text">How often to fetch new data (5-60 minutes)</p>
+
+        <ha-textfield
+          label="Trend Window (hours)"
+          type="number"
+          min="1"
+          .value=${this._config.trend_window ?? 24}
+          @input=${(e) => this._valueChanged('trend_window', e.target.value ? parseInt(e.target.value) : undefined)}
+        ></ha-textfield>
+        <p class="helper-text">The trend tests the last two windows of this length, e.g. 168 for this week vs last week. Keep it at most half of the history days.</p>
+
+        <ha-textfield
+          label="Trend Confidence (%)"
+          type="number"
+          min="50"
+          max="99.9"
+          .value=${this._config.trend_confidence ?? 95}
+          @input=${(e) => this._valueChanged('trend_confidence', e.target.value ? parseFloat(e.target.value) : undefined)}
+        ></ha-textfield>
+        <p class="helper-text">A trend is shown as improving or degrading only when it is significant at this confidence</p>
+
+        <ha-selector
+          .hass=${this.hass}
+          .selector=${{ select: { mode: 'dropdown', options: [
+            { value: '', label: 'Off' },
+            { value: 'hour', label: 'By hour of day' },
+            { value: 'hour_season', label: 'By hour of day and season' }
+          ]}}}
+          .value=${this._config.bias_correction === true ? 'hour' : (this._config.bias_correction || '')}
+          .label=${'Bias Correction'}
+          @value-changed=${(e) => this._valueChanged('bias_correction', e.detail.value || undefined)}
+        ></ha-selector>
+        <p class="helper-text">Learn the primary forecast's bias for each hour of the day and show a corrected forecast, with its cross-validated improvement</p>
+
+        <div class="toggle-row">
+          <label>Skill Scores</label>
+          <ha-switch
+            .checked=${this._config.skill_scores === true}
+            @change=${(e) => this._valueChanged('skill_scores', e.target.checked || undefined)}
+          ></ha-switch>
+        </div>
+        <p class="helper-text">Score each source against persistence ("same as when it was issued") and the sensor's own average for the hour</p>
+
+        <div class="toggle-row">
+          <label>Accuracy by Conditions</label>
+          <ha-switch
+            .checked=${this._config.condition_breakdown === true}
+            @change=${(e) => this._valueChanged('condition_breakdown', e.target.checked || undefined)}
+          ></ha-switch>
+        </div>
+        <p class="helper-text">Split MAE and bias by cloud cover, wind, precipitation, day/night and temperature band</p>
+
+        <div class="toggle-row">
+          <label>Quality Checks</label>
+          <ha-switch
+            .checked=${this._config.quality_checks !== false}
+            @change=${(e) => this._valueChanged('quality_checks', e.target.checked)}
+          ></ha-switch>
+        </div>
+        <p class="helper-text">Leave stale, out-of-range, jumping or implausible sensor readings out of the statistics</p>
+
+        <ha-textfield
+          label="Max Sensor Age (minutes)"
+          type="number"
+          min="1"
+          .value=${this._config.max_sensor_age ?? DEFAULT_MAX_SENSOR_AGE}
+          @input=${(e) => this._valueChanged('max_sensor_age', e.target.value ? parseInt(e.target.value) : undefined)}
+        ></ha-textfield>
+        <p class="helper-text">A reading is stale when the sensor hasn't reported for longer than this</p>
+
+        <div class="toggle-row">
+          <label>Backfill History</label>
+          <ha-switch
+            .checked=${this._config.backfill !== false}
+            @change=${(e) => this._valueChanged('backfill', e.target.checked)}
+          ></ha-switch>
+        </div>
+        <p class="helper-text">Fill empty history from the recorder and archived Open-Meteo forecasts when the card loads</p>
+
+        <ha-selector
+          .hass=${this.hass}
+          .selector=${{ select: { mode: 'dropdown', options: Object.entries(HISTORY_STORAGES).map(([value, storage]) => ({ value, label: storage.name })) }}}
+          .value=${this._config.storage || 'local'}
+          .label=${'History Storage'}
+          @value-changed=${(e) => this._valueChanged('storage', e.detail.value === 'local' ? undefined : e.detail.value)}
+        ></ha-selector>
+        <p class="helper-text">Home Assistant storage shares one history between all browsers of your user; one browser records it. IndexedDB keeps up to two years in this browser, starting from a copy of the localStorage history.</p>
+
+        <ha-selector
+          .hass=${this.hass}
+          .selector=${{ select: { mode: 'dropdown', options: [
+            { value: 'instant', label: 'Sensor value at the moment' },
+            { value: 'mean', label: 'Mean over window' },
+            { value: 'median', label: 'Median over window' },
+            { value: 'min', label: 'Minimum over window' },
+            { value: 'max', label: 'Maximum over window' }
+          ]}}}
+          .value=${this._config.actual_method || 'instant'}
+          .label=${'Actual Temperature'}
+          @value-changed=${(e) => this._valueChanged('actual_method', e.detail.value === 'instant' ? undefined : e.detail.value)}
+        ></ha-selector>
+
+        ${this._config.actual_method && this._config.actual_method !== 'instant' ? html`
+          <ha-textfield
+            label="Actual Window (minutes)"
+            type="number"
+            min="1"
+            max="180"
+            .value=${this._config.actual_window ?? ''}
+            placeholder="per source"
+            @input=${(e) => this._valueChanged('actual_window', e.target.value ? parseInt(e.target.value) : undefined)}
+          ></ha-textfield>
+          <p class="helper-text">Recorder history window around each forecast's valid time. Leave empty to match the source: 15 minutes for Open-Meteo, 60 for hourly sources.</p>
+        ` : ''}
+
+        <ha-selector
+          .hass=${this.hass}
+          .selector=${{ entity: { domain: ['binary_sensor', 'sensor'] } }}
+          .value=${this._config.precipitation_sensor || ''}
+          .label=${'Precipitation Sensor (optional)'}
+          @value-changed=${(e) => this._valueChanged('precipitation_sensor', e.detail.value || undefined)}
+        ></ha-selector>
+        <p class="helper-text">Rain binary sensor, rain rate or precipitation total. Each source's hourly precipitation probability is scored against whether it rained in that hour.</p>
       </div>
     `;
   }